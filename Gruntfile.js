@@ -103,5 +103,6 @@ module.exports = function(grunt) {
   // Default task(s).
   grunt.registerTask('default', ['handlebars', 'copy', 'uglify']);
   grunt.registerTask('docs', ['doxx']);
+  grunt.registerTask('test', ['mochaTest']);
 
 };
\ No newline at end of file
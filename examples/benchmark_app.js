@@ -0,0 +1,104 @@
+/* jshint jquery:true, browser:true, eqeqeq:false, undef:true, unused:false, quotmark:false, expr:true  */
+/* globals PVCollection */
+
+$(document).ready(function() {
+
+	// build an array of item data, ids starting from the offset
+	var makeItems = function(offset, count, title) {
+		var items = [];
+
+		for (var i = offset; i < offset + count; i++) {
+			items.push({
+				id: i,
+				title: title + ' ' + i,
+				check: false
+			});
+		}
+
+		return items;
+	};
+
+	// the diff Collection.set() used before the indexes, every old item maps the whole new list
+	var naiveDiff = function(oldItems, newItems) {
+		var removed = 0,
+			changed = 0;
+
+		oldItems.forEach(function(oldItem) {
+			var itemIdx = newItems.map(function(x) {
+				return x.id;
+			}).indexOf(oldItem.id);
+
+			if (itemIdx === -1) {
+				removed++;
+			} else {
+				changed++;
+			}
+		});
+
+		return removed + changed;
+	};
+
+	var time = function(fn) {
+		var start = window.performance.now();
+		fn();
+		return Math.round(window.performance.now() - start);
+	};
+
+	var run = function(count) {
+		var list = new PVCollection({
+				name: 'Benchmark ' + count
+			}, {
+				attributes: {
+					id: null,
+					title: '',
+					check: false
+				}
+			}),
+			firstBatch = makeItems(0, count, 'First'),
+			secondBatch = makeItems(Math.floor(count / 10), count, 'Second'),
+			row = {
+				count: count
+			};
+
+		row.add = time(function() {
+			list.add(firstBatch);
+		});
+
+		row.set = time(function() {
+			list.set(secondBatch);
+		});
+
+		row.lookup = time(function() {
+			for (var i = 0; i < count; i++) {
+				list.getById(i);
+			}
+		});
+
+		row.remove = time(function() {
+			for (var i = 0; i < 1000; i++) {
+				list.remove(secondBatch[i].id, {
+					silent: true
+				});
+			}
+		});
+
+		// the old diff gets too slow to wait for on big lists
+		row.naive = count <= 20000 ? time(function() {
+			naiveDiff(firstBatch, secondBatch);
+		}) : '-';
+
+		return row;
+	};
+
+	$(".btn-run").on('click', function() {
+		var $body = $("#results tbody").empty();
+
+		[1000, 5000, 10000, 20000, 50000].forEach(function(count) {
+			var row = run(count);
+
+			$body.append('<tr><td>' + row.count + '</td><td>' + row.add + '</td><td>' + row.set +
+				'</td><td>' + row.naive + '</td><td>' + row.lookup + '</td><td>' + row.remove + '</td></tr>');
+		});
+	});
+
+});
@@ -1,9 +1,72 @@
-/* jshint jquery:true, browser:true, eqeqeq:false, undef:true, unused:false, quotmark:false, expr:true, devel:true */
-/* globals Handlebars, JST, moment */
+/* jshint browser:true, node:true, eqeqeq:false, undef:true, unused:false, quotmark:false, expr:true, devel:true */
+/* globals define, JST */
 /* exported PVCollection */
-(function($, Handlebars, moment, window){
+(function(root, factory) {
 	'use strict';
 
+	var previous = root.PVCollection,
+		jQuery;
+
+	// a PVCollection using the given jQuery, moment, Handlebars, Mustache and lodash. missing jQuery and moment
+	// are replaced by internal shims
+	var create = function(deps) {
+		return factory(root, deps || {}, create);
+	};
+
+	// dependencies that are used if they can be found
+	var optional = function(name) {
+		try {
+			return require(name);
+		} catch (e) {
+			return undefined;
+		}
+	};
+
+	if (typeof define === 'function' && define.amd) {
+		define(['jquery', 'moment'], function($, moment) {
+			return create({
+				jQuery: $,
+				moment: moment,
+				Handlebars: root.Handlebars,
+				Mustache: root.Mustache,
+				lodash: root._
+			});
+		});
+	} else if (typeof module === 'object' && module.exports) {
+		// without a window, require('jquery') only gives a factory, which is no use here
+		jQuery = root.jQuery || optional('jquery');
+
+		module.exports = create({
+			jQuery: jQuery && typeof jQuery.extend === 'function' ? jQuery : null,
+			moment: root.moment || optional('moment'),
+			Handlebars: root.Handlebars || optional('handlebars'),
+			Mustache: root.Mustache || optional('mustache'),
+			lodash: root._ || optional('lodash')
+		});
+	} else {
+		root.PVCollection = create({
+			jQuery: root.jQuery,
+			moment: root.moment,
+			Handlebars: root.Handlebars,
+			Mustache: root.Mustache,
+			lodash: root._
+		});
+
+		// store existing item
+		if (previous) {
+			root.PVCollection.oldObject = previous;
+		}
+	}
+})(typeof window !== 'undefined' ? window : (typeof global !== 'undefined' ? global : this), function(window, deps, create) {
+	'use strict';
+
+	// dependencies, the shims for jQuery and moment are set up at the end (see Shims)
+	var $ = deps.jQuery || null,
+		moment = deps.moment || null,
+		Handlebars = deps.Handlebars || null,
+		Mustache = deps.Mustache || null,
+		lodash = deps.lodash || null;
+
 	/**
 	 * Collection Class
 	 *
@@ -28,12 +91,44 @@
 		this.created = moment();
 		this.firstSet = true;
 
-		// default sorting
-		this.sortComparator = function(a, b) {
-			return a.attributes[a._uniqueField] < b.attributes[b._uniqueField] ? 1 : -1;
-		};
-
-		// template
+		// unique key of the models, a field name or a function that derives the key from the attributes
+		this.idAttribute = opt.idAttribute || model.idAttribute || 'id';
+
+		// undo/redo history, pass true, History options or a History instance shared with other collections
+		this.history = opt.history ? (opt.history instanceof History ? opt.history : new History(opt.history === true ? {} : opt.history)) : null;
+		this._historyDepth = 0;
+
+		// sync
+		this.url = opt.url || null;
+		this.transport = opt.transport || Collection.transport;
+
+		// offline persistence, a storage adapter and the key the collection is kept under.
+		// saves made while offline are queued, and replayed when the browser is back online
+		this.storage = opt.storage || null;
+		this.storageKey = opt.storageKey || this.name;
+		this.queue = [];
+		this._queued = {};
+		this._restoring = false;
+		this._persistTimer = null;
+
+		// paging, a pageSize of 0 shows everything. in server mode fetch() sends the page params,
+		// and the totalCount is read from the totalKey of the response data
+		this.paging = opt.paging || 'local';
+		this.page = opt.page || 1;
+		this.pageSize = opt.pageSize || 0;
+		this.pageParams = $.extend({
+			page: 'page',
+			pageSize: 'pageSize'
+		}, opt.pageParams);
+		this.totalKey = opt.totalKey || 'totalCount';
+		this.totalCount = 0;
+
+		// default sorting, the comparator option picks one by name from PVCollection.comparators
+		this.comparatorName = 'default';
+		this.sortComparator = Collection.comparators['default'];
+
+		// template, compiled and rendered with a renderer from PVCollection.renderers
+		this.renderer = opt.renderer || Collection.defaultRenderer;
 		this.template = opt.template ? this.initTemplate(opt.template) : null;
 		this._hasBeenRendered = false;
 		this.templateRender = null;
@@ -50,14 +145,24 @@
 		// model
 		this.model = model;
 
-		// collection
+		// collection, and the indexes of models by key and guid
 		this.items = [];
+		this._byId = {};
+		this._byGuid = {};
 
-		// DOM container element
+		// DOM container element, set with attachTo() or the container option
 		this.$container = null;
+		this._domHandlers = null;
+
+		// owner model and relation name, if this collection is a hasMany relation
+		this._parent = null;
+
+		// events held back by batch()
+		this._batch = null;
 
-		// events
+		// events, and the objects this one listens to
 		this._events = {};
+		this._listeningTo = [];
 
 		// do anything that needs to get initialized
 		this._initialize.apply(this, this.options);
@@ -72,20 +177,32 @@
 		this.log(['collection init', this.name]);
 
 		// set basic events
-		this.on('sort', this.onSort);
-		this.on('beforeRender', this.onBeforeRender);
-		this.on('render', this.onRender);
-		this.on('change', this.onChange);
-		this.on('clear', this.onClear);
-		this.on('dirty', this.onDirty);
-		this.on('error', this.onError);
-
-		// init incremented id
-		initIncrementId();
+		this._on('sort', this.onSort);
+		this._on('beforeRender', this.onBeforeRender);
+		this._on('render', this.onRender);
+		this._on('change', this.onChange);
+		this._on('clear', this.onClear);
+		this._on('dirty', this.onDirty);
+		this._on('error', this.onError);
+
+		// the page can't stay past the end when models are removed
+		this._on('change', this._clampPage);
+
+		if (this.options.comparator) {
+			this.setComparator(this.options.comparator);
+		}
 
 		// call user init function here
 		this.initialize.apply(this, this.options);
 
+		if (this.storage) {
+			this._initStorage();
+		}
+
+		if (this.options.container) {
+			this.attachTo(this.options.container);
+		}
+
 		this.initialized = true;
 		this.trigger('initialized', {
 			options: options
@@ -101,7 +218,7 @@
 	 * @return {bool} true if list is in a dirty state
 	 */
 	Collection.prototype.isDirty = function() {
-		return this._isDirty;
+		return this._dirty;
 	};
 
 	/**
@@ -119,20 +236,24 @@
 	};
 
 	/**
+	 * serialize the collection, PVCollection.fromJSON() can recreate it from the result. options that aren't
+	 * plain data (functions, templates, storage adapters) are left out, the comparator is kept by name
+	 *
 	 * @param {Bool} true for stringified return, false for object
 	 * @return {Object|String} collection data as an object or stringified
 	 */
 	Collection.prototype.toJSON = function(stringified) {
 		var result = {
+			version: Collection.serializationVersion,
 			name: this.name,
 			id: this.id,
 			created: this.created.format(),
 			length: this.items.length,
-			items: (function(items) {
-				return items.map(function(x) {
-					return x.toJSON();
-				});
-			})(this.items)
+			options: serializeOptions(this.options),
+			comparator: this.comparatorName || null,
+			dirty: Boolean(this._dirty),
+			page: this.page || 1,
+			items: this.items.map(serializeModel)
 		};
 
 		if (stringified) {
@@ -158,6 +279,36 @@
 		}
 	};
 
+	/**
+	 * validate item data against the model schema and types, with the model attribute defaults applied
+	 * and the typed attributes coerced. unknown attributes are invalid if the model rejects them
+	 *
+	 * @param {Object} itemData
+	 * @return {Object} object of field: message for each invalid field
+	 */
+	Collection.prototype.validate = function(itemData) {
+		var types = normalizeTypes(this.model.types),
+			attributes = $.extend(true, typeDefaults(types), this.model.attributes, coerceAttributes(this.model, itemData, this.idAttribute)),
+			errors = checkAttributes(types, this.model.schema, attributes);
+
+		if (this.model.unknownAttributes === 'reject') {
+			unknownKeys(this.model, itemData, this.idAttribute).forEach(function(key) {
+				errors[key] = key + ' is not a known attribute';
+			});
+		}
+
+		return errors;
+	};
+
+	/**
+	 * @param {Object} itemData that has validation errors
+	 * @return {Bool} true if the item is left out, in reject validation mode or when it has rejected unknown attributes
+	 */
+	Collection.prototype._rejects = function(itemData) {
+		return this.model.validationMode === 'reject' ||
+			(this.model.unknownAttributes === 'reject' && unknownKeys(this.model, itemData, this.idAttribute).length > 0);
+	};
+
 	/**
 	 * @param {Int} index of model in the collection
 	 * @return {Object} model
@@ -181,6 +332,53 @@
 		}
 	};
 
+	/**
+	 * get a model by its unique key. ids are compared as strings, so '5' finds a model with the id 5
+	 *
+	 * @param {String, Number, Object} id, or an object of attributes the key can be derived from
+	 * @return {Object} model or null if not found
+	 */
+	Collection.prototype.getById = function(id) {
+		if ($.isPlainObject(id)) {
+			id = idOf(this.idAttribute, id);
+		}
+
+		return this._byId.hasOwnProperty(String(id)) ? this._byId[String(id)] : null;
+	};
+
+	/**
+	 * @param {String} guid of the model
+	 * @return {Object} model or null if not found
+	 */
+	Collection.prototype.getByGuid = function(guid) {
+		return this._byGuid.hasOwnProperty(guid) ? this._byGuid[guid] : null;
+	};
+
+	/**
+	 * add a model to the id and guid indexes
+	 *
+	 * @param {Object} model
+	 */
+	Collection.prototype._index = function(model) {
+		this._byId[String(model.getId())] = model;
+		this._byGuid[model.guid] = model;
+	};
+
+	/**
+	 * remove a model from the id and guid indexes
+	 *
+	 * @param {Object} model
+	 * @param {String, Number} id the model was indexed with, if it has since changed
+	 */
+	Collection.prototype._unindex = function(model, id) {
+		var key = String(id !== undefined ? id : model.getId());
+
+		if (this._byId[key] === model) {
+			delete this._byId[key];
+		}
+		delete this._byGuid[model.guid];
+	};
+
 	/**
 	 * @return {Object} first model in the collection
 	 */
@@ -216,8 +414,13 @@
 	};
 
 	/**
+	 * invalid items are listed in the change event, and left out if the model validation mode is reject
+	 * the add, remove and merge options (all true by default) control which part of the diff is applied,
+	 * so { remove: false } adds and merges without removing missing items. at inserts new items at an index
+	 * instead of sorting, and parse runs each item through the model parse pipeline, or the passed function.
+	 *
 	 * @param {Array} array of items to be set as the new content of the collection
-	 * @param {Object} options for setting the content
+	 * @param {Object} options for setting the content - add, remove, merge, at, parse, silent
 	 * @return {Object} collection for chaining
 	 */
 	Collection.prototype.set = function(items, options) {
@@ -231,100 +434,173 @@
 			return false;
 		}
 
-		options = options || {};
+		options = $.extend({
+			add: true,
+			remove: true,
+			merge: true
+		}, options);
 
 		var self = this,
 			addedItems = [],
 			removedItems = [],
 			changedItems = [],
+			invalidItems = [],
+			incoming = {},
+			rejected = {},
+			matched = {},
 			toBeRemoved = [],
 			toBeChanged = [];
 
 		this.log(['collection set', items, options]);
 
-		// find items that change or get removed
-		self.items.forEach(function(oldItem, idx, arr) {
-			// if we cannot find this unique item in the new list, add it to the to be removed list
-			// otherwise add it to the to be changed list
-			var itemIdx = items.map(function(x) {
-							return x[oldItem._uniqueField];
-						}).indexOf(oldItem.attributes[oldItem._uniqueField]);
+		var before = this._historyStart();
 
-			if (itemIdx === -1) {
-				toBeRemoved.push(oldItem);
-				self._isSorted = false;
-			} else {
-				toBeChanged.push(oldItem);
+		try {
+			// run the items through the parser
+			if (options.parse) {
+				items = this._parseItems(items, options.parse);
 			}
-		});
 
-		// process toBeRemoved
-		toBeRemoved.forEach(function(item, idx, arr) {
-			// if we need processing done on items before they are removed, do that here
-			// TODO remove hook
+			// validate the new items, in reject mode invalid items are left out, and the matching old items are kept as is
+			items = items.filter(function(itemData) {
+				var errors = self.validate(itemData);
 
-			// otherwise proceed to remove item, silently
-			removedItems.push(self.remove(item, {
-				silent: true,
-				returnItem: true
-			}));
-		});
+				if (!Object.keys(errors).length) {
+					return true;
+				}
+
+				invalidItems.push({
+					data: itemData,
+					errors: errors
+				});
+
+				if (self._rejects(itemData)) {
+					rejected[String(idOf(self.idAttribute, itemData))] = true;
+					return false;
+				}
 
-		// process to be changed
-		toBeChanged.forEach(function(oldItem, idx, arr) {
-			var itemIdx = items.map(function(x) {
-							return x[oldItem._uniqueField];
-						}).indexOf(oldItem.attributes[oldItem._uniqueField]);
-			var newItem = items.splice(itemIdx, 1)[0];
+				return true;
+			});
 
-			var changedItem = oldItem.set(newItem, false, true);
+			// index the new items by key, the first item with a key is the one that gets matched
+			items.forEach(function(itemData, idx) {
+				var key = String(idOf(self.idAttribute, itemData));
 
-			if (Object.keys(changedItem.changedAttributes).length) {
-				changedItems.push(oldItem);
-				self._isSorted = false;
-			}
-		});
+				if (!incoming.hasOwnProperty(key)) {
+					incoming[key] = idx;
+				}
+			});
+
+			// find items that change or get removed
+			self.items.forEach(function(oldItem, idx, arr) {
+				// if we cannot find this unique item in the new list, add it to the to be removed list
+				// otherwise add it to the to be changed list
+				var key = String(oldItem.getId());
+
+				if (rejected[key]) {
+					return;
+				}
+
+				if (!incoming.hasOwnProperty(key)) {
+					if (options.remove) {
+						toBeRemoved.push(oldItem);
+						self._isSorted = false;
+					}
+				} else {
+					// matched items are never added again, even if they are not merged
+					matched[incoming[key]] = true;
 
-		// new we only have remaining new items in the items list
-		if (items.length) {
-			self._isSorted = false;
-			addedItems = self.add(items, {
-							silent: true,
-							noSort: true,
-							returnItems: true
+					if (options.merge) {
+						toBeChanged.push({
+							model: oldItem,
+							data: items[incoming[key]]
 						});
-		}
+					}
+				}
+			});
 
-		// sort list using default sort comparator
-		self.sort();
+			// process toBeRemoved
+			if (toBeRemoved.length) {
+				// if we need processing done on items before they are removed, do that here
+				// TODO remove hook
 
-		// set length
-		self.length = self.items.length;
+				// otherwise proceed to remove items in one pass, silently
+				toBeRemoved.forEach(function(item, idx, arr) {
+					self._unindex(item);
+					removedItems.push(item);
+				});
 
-		// if items changed, then mark as dirty and not rendered and not sorted
-		if (addedItems.length || removedItems.length || changedItems.length) {
-			self._hasBeenRendered = false;
-			self._dirty = true;
-			self.trigger('dirty', {});
+				self.items = self.items.filter(function(item) {
+					return self._byGuid.hasOwnProperty(item.guid);
+				});
+			}
 
-			// if not silent, send change event
-			if (!options.silent) {
+			// process to be changed
+			toBeChanged.forEach(function(pair, idx, arr) {
+				var oldItem = pair.model,
+					changedItem = oldItem.set(pair.data, false, true);
+
+				if (changedItem && Object.keys(changedItem.changedAttributes).length) {
+					changedItems.push(oldItem);
+					self._isSorted = false;
+				}
+			});
+
+			// new we only have remaining new items in the items list
+			items = items.filter(function(itemData, idx) {
+				return !matched[idx];
+			});
+
+			if (items.length && options.add) {
+				self._isSorted = false;
+				addedItems = self.add(items, {
+								silent: true,
+								noSort: true,
+								returnItems: true,
+								at: options.at
+							});
+			}
+
+			// sort list using default sort comparator, unless items were inserted at a specific index
+			if (options.at === undefined) {
+				self.sort();
+			}
+
+			// set length
+			self.length = self.items.length;
+
+			// if items changed, then mark as dirty and not rendered and not sorted
+			if (addedItems.length || removedItems.length || changedItems.length) {
+				self._hasBeenRendered = false;
+				self._dirty = true;
+				self.trigger('dirty', {});
+			}
+
+			// if not silent, send change event, invalid items are reported even if nothing else changed
+			if (!options.silent && (addedItems.length || removedItems.length || changedItems.length || invalidItems.length)) {
 				self.trigger('change', {
 					added: addedItems,
 					removed: removedItems,
-					changed: changedItems
+					changed: changedItems,
+					invalid: invalidItems
 				});
-			}			
-		}
+			}
 
-		self.firstSet = false;
+			self.firstSet = false;
+		} finally {
+			this._historyEnd(before, 'set');
+		}
 
 		return this;
 	};
 
 	/**
+	 * invalid items trigger an invalid event, and are not added if the model validation mode is reject
+	 * with the at option, items are inserted at that index (negative counts from the end) and not sorted.
+	 * parse runs each item through the model parse pipeline, or the passed function
+	 *
 	 * @param {Array} array of items to be added to the collection
-	 * @param {Object} options for setting the content
+	 * @param {Object} options for setting the content - at, noSort, parse, silent, returnItems
 	 * @return {Object} collection for chaining
 	 */
 	Collection.prototype.add = function(items, options) {
@@ -337,41 +613,95 @@
 			items = [items];
 		}
 
+		if (options.parse) {
+			items = this._parseItems(items, options.parse);
+		}
+
 		var collection = this,
-			addedItems = [];
+			addedItems = [],
+			invalidItems = [],
+			at = options.at,
+			before = this._historyStart();
+
+		try {
+			if (at !== undefined) {
+				at = at < 0 ? at + this.items.length + 1 : at;
+				at = Math.min(Math.max(at, 0), this.items.length);
+			}
 
-		items.forEach(function(itemData, idx, arr) {
-			var newModel = $.extend(true, {}, collection.model, { collection: collection });
-			var newItem = new Model(newModel, $.extend(true, {}, collection.model.attributes, itemData));
+			items.forEach(function(itemData, idx, arr) {
+				var errors = collection.validate(itemData);
 
-			collection.items.push(newItem);
-			addedItems.push(newItem);
-		});
+				if (Object.keys(errors).length) {
+					invalidItems.push({
+						data: itemData,
+						errors: errors
+					});
 
-		this._hasBeenRendered = false;
+					// in reject mode, invalid items are not added
+					if (collection._rejects(itemData)) {
+						return;
+					}
+				}
 
-		// set length
-		this.length = this.items.length;
+				var newModel = $.extend(true, {}, collection.model, {
+					collection: collection,
+					idAttribute: collection.idAttribute,
+					renderer: collection.model.renderer || collection.renderer
+				});
+				var newItem = new Model(newModel, $.extend(true, {}, collection.model.attributes, itemData));
 
-		// sort if requested
-		if (!options.noSort) {
-			this.sort();
-		}
+				if (at !== undefined) {
+					collection.items.splice(at + addedItems.length, 0, newItem);
+				} else {
+					collection.items.push(newItem);
+				}
 
-		if (addedItems.length) {
-			this._dirty = true;
-			this.trigger('dirty', {});
+				collection._index(newItem);
+				addedItems.push(newItem);
 
-			if (!options.silent) {
-				this.trigger('change', {
-					added: addedItems,
-					removed: [],
-					changed: []
+				// models of a hasMany relation bubble their changes up to the owner model
+				if (collection._parent) {
+					newItem._on('change', relatedChanged);
+				}
+			});
+
+			this._hasBeenRendered = false;
+
+			// set length
+			this.length = this.items.length;
+
+			// sort if requested
+			if (!options.noSort && at === undefined) {
+				this.sort();
+			} else if (addedItems.length) {
+				this._isSorted = false;
+			}
+
+			if (addedItems.length) {
+				this._dirty = true;
+				this.trigger('dirty', {});
+
+				if (!options.silent) {
+					this.trigger('change', {
+						added: addedItems,
+						removed: [],
+						changed: [],
+						invalid: invalidItems
+					});
+				}
+			}
+
+			if (invalidItems.length && !options.silent) {
+				this.trigger('invalid', {
+					items: invalidItems
 				});
 			}
-		}
 
-		this.firstSet = false;
+			this.firstSet = false;
+		} finally {
+			this._historyEnd(before, 'add');
+		}
 
 		// return requested data
 		if (options.returnItems) {
@@ -391,18 +721,14 @@
 
 		options = options || {};
 
-		var id = -1,
-			itemIndex,
-			removedModel = null;
+		var removedModel = null;
 
 		// parse what the request item is
-		// support either string/number for id or passing in a model to remove it
-		if (!isNaN(parseInt(_id, 10))) {
-			id = parseInt(_id, 10);
-		} else if (_id instanceof Model) {
-			// use the model's "unique field"
-			// id = _id.attributes.id;
-			id = _id.attributes[_id._uniqueField];
+		// support either string/number for id, a model, or an object of attributes the key can be derived from
+		if (_id instanceof Model) {
+			removedModel = this.getByGuid(_id.guid);
+		} else if (typeof _id === 'string' || typeof _id === 'number' || $.isPlainObject(_id)) {
+			removedModel = this.getById(_id);
 		} else {
 			this.trigger('error', {
 				message: 'Missing or unrecognized data passed to Collection.remove',
@@ -412,29 +738,40 @@
 			return false;
 		}
 
-		// get the array index of the item
-		itemIndex = this.items.map(function(i) {
-			return i.attributes[i._uniqueField];
-		}).indexOf(id);
+		if (!removedModel) {
+			this.trigger('error', {
+				message: 'Model to be removed was not found in the collection',
+				data: _id
+			});
 
-		// save the model for the event
-		removedModel = this.items.splice(itemIndex, 1);
+			return false;
+		}
 
-		// set length
-		this.length = this.items.length;
+		var before = this._historyStart();
 
-		// set states
-		this._hasBeenRendered = false;
-		this._dirty = true;
-		this.trigger('dirty', {});
+		try {
+			// remove the model from the list and the indexes
+			this.items.splice(this.items.indexOf(removedModel), 1);
+			this._unindex(removedModel);
 
-		// emit change if needed
-		if (!options.silent) {
-			this.trigger('change', {
-				added: [],
-				removed: [removedModel],
-				changed: []
-			});
+			// set length
+			this.length = this.items.length;
+
+			// set states
+			this._hasBeenRendered = false;
+			this._dirty = true;
+			this.trigger('dirty', {});
+
+			// emit change if needed
+			if (!options.silent) {
+				this.trigger('change', {
+					added: [],
+					removed: [removedModel],
+					changed: []
+				});
+			}
+		} finally {
+			this._historyEnd(before, 'remove');
 		}
 
 		// return requested data
@@ -450,7 +787,12 @@
 	 * first argument can also be a function that will be used for the grep instead
 	 * if internal is true, then "private" properties can be compared
 	 *
-	 * @param {String, Function} array of items to be set as the new content of the collection
+	 * the first argument can also be a query object of attribute paths (dotted for nested values) and
+	 * values or operators, like { created: { $gt: date }, title: { $regex: /bacon/i }, 'author.name': 'x' }
+	 * operators are $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $all, $regex, $exists, $size and $not,
+	 * and queries can be combined with $and, $or and $not. comparisons understand moments and dates
+	 *
+	 * @param {String, Function, Object} key, function or query object
 	 * @param {Object, String, Array} value for key
 	 * @param {Bool} flag for using internal values intead of attributes
 	 * @return {Array} array of items
@@ -458,22 +800,30 @@
 	Collection.prototype.where = function(key, value, internal) {
 		this.log(['collection where', key, value, internal]);
 
-		// if the first argument was a function
-		if (typeof key === "function") {
-			internal = value;
+		// key gets item, index passed to it
+		return $.grep(this.items, matcher(key, value, internal));
+	};
+
+	/**
+	 * like where(), but returns the first matching model
+	 *
+	 * @param {String, Function, Object} key, function or query object
+	 * @param {Object, String, Array} value for key
+	 * @param {Bool} flag for using internal values intead of attributes
+	 * @return {Object} model or null if nothing matched
+	 */
+	Collection.prototype.findWhere = function(key, value, internal) {
+		this.log(['collection findWhere', key, value, internal]);
 
-			// key gets item, index passed to it
-			return $.grep(this.items, key);
+		var match = matcher(key, value, internal);
 
-		} else {
-			return $.grep(this.items, function(item) {
-				if (internal) {
-					return item[key] === value;
-				} else {
-					return item.attributes[key] === value;
-				}
-			});
+		for (var i = 0; i < this.items.length; i++) {
+			if (match(this.items[i], i)) {
+				return this.items[i];
+			}
 		}
+
+		return null;
 	};
 
 	/**
@@ -491,13 +841,19 @@
 			options = {};
 		}
 
-		this.items.sort(fn || this.sortComparator);
+		var before = this._historyStart();
 
-		if (!options || !options.silent) {
-			this.trigger('sort', {});
-		}
+		try {
+			this.items.sort(fn || this.sortComparator);
 
-		this._isSorted = true;
+			if (!options || !options.silent) {
+				this.trigger('sort', {});
+			}
+
+			this._isSorted = true;
+		} finally {
+			this._historyEnd(before, 'sort');
+		}
 
 		return this;
 	};
@@ -505,14 +861,26 @@
 	/**
 	 * set the default list sorting comparator
 	 *
-	 * @param {Function} sorting comparator - function(item, index, array)
+	 * @param {Function, String} sorting comparator - function(a, b), or the name of one in PVCollection.comparators
 	 * @param {Object} options
 	 * @return {Object} collection for chaining
 	 */
 	Collection.prototype.setComparator = function(fn, opt) {
 		this.log(['set comparator', fn, opt]);
 
-		if (typeof fn === "function") {
+		if (typeof fn === "string" && typeof Collection.comparators[fn] === "function") {
+			this.comparatorName = fn;
+			this.sortComparator = Collection.comparators[fn];
+		} else if (typeof fn === "function") {
+			this.comparatorName = null;
+
+			// a registered comparator keeps its name through toJSON()
+			Object.keys(Collection.comparators).forEach(function(name) {
+				if (Collection.comparators[name] === fn) {
+					this.comparatorName = name;
+				}
+			}, this);
+
 			this.sortComparator = fn;
 		} else {
 			this.trigger('error', {
@@ -557,599 +925,4579 @@
 	};
 
 	/**
-	 * returns boolean if an item in collection matches comparator fn
-	 *
-	 * @param {Function} function(element, index, array) { return elem > 10; }
-	 * @return {Bool} true if item matching was found
+	 * @param {String, Function} path of the attribute, dotted for nested values, or function(model)
+	 * @return {Array} value of the attribute for each model
 	 */
-	Collection.prototype.contains = function(fn) {
-		this.log(['collection contains', fn]);
+	Collection.prototype.pluck = function(path) {
+		this.log(['collection pluck', path]);
 
-		return this.items.some(fn);
+		return this.items.map(valueGetter(path));
 	};
 
 	/**
-	 * clear the whole list
+	 * run Array.reduce on the items array
 	 *
-	 * @param {Object} options
-	 * @return {Object} collection
+	 * @param {Function} function(memo, model, index, array)
+	 * @param {Object} initial value of memo
+	 * @return {Object} result
 	 */
-	Collection.prototype.clear = function(options) {
-		this.log(['collection clear', options]);
+	Collection.prototype.reduce = function(fn, initial) {
+		this.log(['collection reduce', fn, initial]);
 
-		this.trigger('clear', {
-			items: this.items.slice(0)
-		});
+		if (typeof fn !== "function") {
+			throw new Error("Argument must be a function");
+		}
 
-		// clear all items
-		this.items = [];
+		return this.items.reduce(fn, initial);
+	};
 
-		return this;
+	/**
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Number} sum of the numeric values, others are skipped
+	 */
+	Collection.prototype.sum = function(path) {
+		return numericValues(this.pluck(path)).reduce(function(memo, value) {
+			return memo + value;
+		}, 0);
 	};
 
 	/**
-	 * render the whole list, and optionally child models
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Number} average of the numeric values, null if there are none
+	 */
+	Collection.prototype.avg = function(path) {
+		var values = numericValues(this.pluck(path));
+
+		return values.length ? this.sum(path) / values.length : null;
+	};
+
+	/**
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Object} smallest value, numbers, strings and moments are supported. undefined if empty
+	 */
+	Collection.prototype.min = function(path) {
+		return this.pluck(path).reduce(function(memo, value) {
+			return (value !== undefined && value !== null && (memo === undefined || value < memo)) ? value : memo;
+		}, undefined);
+	};
+
+	/**
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Object} largest value, numbers, strings and moments are supported. undefined if empty
+	 */
+	Collection.prototype.max = function(path) {
+		return this.pluck(path).reduce(function(memo, value) {
+			return (value !== undefined && value !== null && (memo === undefined || value > memo)) ? value : memo;
+		}, undefined);
+	};
+
+	/**
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Array} unique values, in the order they appear
+	 */
+	Collection.prototype.uniq = function(path) {
+		var seen = {},
+			result = [];
+
+		this.pluck(path).forEach(function(value) {
+			var key = typeof value + ':' + groupKey(value);
+
+			// objects are compared deeply, everything else by key
+			if (typeof value === 'object' && value !== null && !moment.isMoment(value) && !(value instanceof Date)) {
+				if (!result.some(function(r) {
+						return isEqual(r, value);
+					})) {
+					result.push(value);
+				}
+			} else if (!seen.hasOwnProperty(key)) {
+				seen[key] = true;
+				result.push(value);
+			}
+		});
+
+		return result;
+	};
+
+	/**
+	 * group the models by an attribute or function. with options.live, each group is a live view
+	 * of the collection instead of an array, and a view is added when a model gets a new key.
+	 * groups that become empty are kept, groups.destroy() stops adding groups and destroys the views
 	 *
-	 * @param {Object} options
-	 * @return {String, Function} rendered template in string or function form
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @param {Object} options - live
+	 * @return {Object} object of group key: array of models or view
 	 */
-	Collection.prototype.render = function(options) {
+	Collection.prototype.groupBy = function(path, options) {
+		this.log(['collection groupBy', path, options]);
+
 		options = options || {};
 
-		var listItems = [];
+		var getter = valueGetter(path),
+			groups = {},
+			collection = this;
 
-		this.log(['collection render', options]);
+		this.items.forEach(function(model) {
+			var key = groupKey(getter(model));
 
-		// TODO
-		// add $el?
+			groups[key] = groups[key] || [];
+			groups[key].push(model);
+		});
 
-		// if we don't have a template, return json
-		if (!this.template) {
-			return this.toJSON();
+		if (!options.live) {
+			return groups;
 		}
 
-		// if we either don't have it at all, or the model has changed since last render
-		if (!this._hasBeenRendered || options.force) {
+		var live = {},
+			addGroups = function() {
+				collection.items.forEach(function(model) {
+					var key = groupKey(getter(model));
+
+					if (!live.hasOwnProperty(key)) {
+						live[key] = collection.createView({
+							name: collection.name + ' ' + key,
+							filter: function(member) {
+								return groupKey(getter(member)) === key;
+							}
+						});
+					}
+				});
+			};
 
-			this.trigger('beforeRender', {
-				options: options
-			});
+		// not enumerable, so the keys are only the groups
+		Object.defineProperty(live, 'destroy', {
+			value: function() {
+				collection.off('change model:change', addGroups);
 
-			this.templateRender = this.template({
-				id: this.id,
-				name: this.name,
-				created: this.created.format(),
-				items: this.map(function(item) {
-					return item.render();
-				})
-			});
+				Object.keys(live).forEach(function(key) {
+					live[key].destroy();
+				});
+			}
+		});
 
-			this._hasBeenRendered = true;
-		}
+		addGroups();
+		this.on('change model:change', addGroups);
 
-		// trigger event
-		this.trigger('render', {
-			options: options
+		return live;
+	};
+
+	/**
+	 * @param {String, Function} path of the attribute or function(model)
+	 * @return {Object} object of group key: number of models
+	 */
+	Collection.prototype.countBy = function(path) {
+		var getter = valueGetter(path),
+			counts = {};
+
+		this.items.forEach(function(model) {
+			var key = groupKey(getter(model));
+
+			counts[key] = (counts[key] || 0) + 1;
 		});
 
-		return this.templateRender;
+		return counts;
 	};
 
 	/**
-	 * built in quick fetch, overwrite this method to change functionality
+	 * returns boolean if an item in collection matches comparator fn
+	 *
+	 * @param {Function} function(element, index, array) { return elem > 10; }
+	 * @return {Bool} true if item matching was found
+	 */
+	Collection.prototype.contains = function(fn) {
+		this.log(['collection contains', fn]);
+
+		return this.items.some(fn);
+	};
+
+	/**
+	 * clear the whole list
 	 *
-	 * @param {String} url
 	 * @param {Object} options
-	 * @return {Function} deferred item
+	 * @return {Object} collection
 	 */
-	Collection.prototype.fetch = function(url, options) {
-		this.log(['collection fetch', url, options]);
+	Collection.prototype.clear = function(options) {
+		this.log(['collection clear', options]);
 
-		var fetch = $.Deferred,
-			errorMessage = '',
-			data = {},
-			fetchStatus = 'pending',
-			collection = this;
+		var before = this._historyStart();
 
-		fetch
-			.done(function(result) {
-				if (!result.items || !$.isArray(result.items)) {
-					collection.log(['Fetch result was not an array of items'], 'warn');
-				} else {
-					data = result.data ? result.data : {};
-					collection.set(result.items, {});
-				}
-			})
-			.fail(function(result) {
-				errorMessage = result.errorMessage;
-				data = result.data ? result.data : {};
-			})
-			.always(function(result) {
-				this.trigger('load', {
-					result: this.status(),
-					error: errorMessage,
-					data: data
-				});
+		try {
+			this.trigger('clear', {
+				items: this.items.slice(0)
 			});
 
-		return fetch;
+			// clear all items
+			this.items = [];
+			this._byId = {};
+			this._byGuid = {};
+
+			this._clampPage();
+		} finally {
+			this._historyEnd(before, 'clear');
+		}
+
+		return this;
 	};
 
 	/**
-	 * hand the items over to a third party method that saves them and lets us know
+	 * add the models from Collection.toJSON() data, with their ids, dirty and new state, changedAttributes
+	 * and timestamps. data of older versions has just the attributes of each item
 	 *
-	 * @param {Object} options
-	 * @return {Function} deferred item
+	 * @param {Object} data
+	 * @param {Bool} keepGuids give the models the guids they had, for DOM elements tagged with them
 	 */
-	Collection.prototype.save = function(options) {
-		this.log(['collection save', options]);
+	Collection.prototype._restoreState = function(data, keepGuids) {
+		var collection = this,
+			items = data.items || [],
+			versioned = Boolean(data.version),
+			attributes = items.map(function(item) {
+				return collection._restoreAttributes(versioned ? item.attributes : item);
+			});
 
+		if (data.id) {
+			this.id = data.id;
+		}
 
-		var saveObject = {
-				deferred: $.Deferred,
-				items: this.get()
-			},
-			collection = this;
+		if (data.created) {
+			this.created = moment(data.created);
+		}
 
-		// TODO
-		// crate deferred and attach callbacks to it
-		// attach deferred and changed models to outputObect
-		// external saving call will resolve deferred once it's done
+		// generated ids that are restored can't be handed out again
+		items.forEach(function(item, idx) {
+			uid.reserve(versioned ? item.id : idOf(collection.idAttribute, attributes[idx]));
+		});
 
-		saveObject.deferred.always(function(result) {
+		this.add(attributes, {
+			silent: true,
+			noSort: true
+		});
 
-			if (result.status === 'success') {
-				if (!result.items || !result.items.length) {
-					// deeply mark as clean
-					collection.clean(true);
-				} else {
-					// TODO
-					// this shouldn't trigger anything else, it's a set to update possible serverside changes to client
-					collection.set(result.items, {
-						silent: true
-					});
+		if (versioned) {
+			items.forEach(function(item) {
+				var restored = collection.getById(item.id);
+
+				if (!restored) {
+					return;
 				}
-			}
 
-			this.trigger('save', {
-				status: result.status,
-				errorMessage: result.errorMessage,
-				result: result
+				restoreModelState(restored, item);
+
+				if (keepGuids && item.guid) {
+					collection._unindex(restored);
+					restored.guid = item.guid;
+					collection._index(restored);
+				}
 			});
-		});
 
-		return saveObject;
-	};
+			this._dirty = Boolean(data.dirty);
+			this.page = data.page || 1;
+		}
 
-	/**
-	 * Base onSort event handler
-	 */
-	Collection.prototype.onSort = function(evt) {
-		this.log(['collection sort event handler', evt]);
+		// restoring isn't an undo step
+		if (this.history) {
+			this.history.clear();
+		}
 	};
 
 	/**
-	 * Base onClear event handler
+	 * run several operations as one. dirty, change and sort are held back until the outermost batch ends,
+	 * then dirty, sort and one change with the merged added, removed and changed lists are triggered.
+	 * models changed with Model.set during the batch are in the changed list. with history it's one undo step
+	 *
+	 * @param {Function} fn gets the collection, also as this
+	 * @return {Object} collection for chaining
 	 */
-	Collection.prototype.onClear = function(evt) {
-		this.log(['collection clear event handler', evt]);
+	Collection.prototype.batch = function(fn) {
+		this.log(['collection batch']);
 
-		this.length = 0;
-	};
+		if (typeof fn !== 'function') {
+			throw new Error("Argument must be a function");
+		}
 
-	/**
-	 * Base onChange event handler
-	 */
-	Collection.prototype.onChange = function(evt) {
-		this.log(['collection change event handler', evt]);
+		var before = this._historyStart(),
+			batch = this._batch;
+
+		if (!batch) {
+			batch = this._batch = {
+				depth: 0,
+				added: {},
+				removed: {},
+				changed: {},
+				invalid: [],
+				sort: false,
+				dirty: false
+			};
+		}
+
+		batch.depth++;
+
+		try {
+			fn.call(this, this);
+		} finally {
+			batch.depth--;
+
+			this._historyEnd(before, 'batch');
+
+			if (!batch.depth) {
+				this._batch = null;
+				this._flushBatch(batch);
+			}
+		}
+
+		return this;
 	};
 
 	/**
-	 * Base onRender event handler, called after render is done
+	 * keep an event for the end of the batch
+	 *
+	 * @param {String} eventName
+	 * @param {Object} evt
+	 * @return {Bool} true if the event was held back
 	 */
-	Collection.prototype.onRender = function(evt) {
-		this.log(['collection render event handler', evt]);
+	Collection.prototype._holdEvent = function(eventName, evt) {
+		var batch = this._batch;
+
+		if (eventName === 'dirty' || eventName === 'sort') {
+			batch[eventName] = true;
+			return true;
+		}
+
+		// model changes are relayed as usual, and the model is added to the changed list
+		if (eventName === 'model:change') {
+			if (!batch.added[evt.model.guid] && !batch.removed[evt.model.guid]) {
+				batch.changed[evt.model.guid] = evt.model;
+			}
+
+			return false;
+		}
+
+		if (eventName !== 'change') {
+			return false;
+		}
+
+		// a model added and removed in the same batch is left out, removed and added again is changed
+		evt.added.forEach(function(model) {
+			if (batch.removed[model.guid]) {
+				delete batch.removed[model.guid];
+				batch.changed[model.guid] = model;
+			} else {
+				batch.added[model.guid] = model;
+			}
+		});
+
+		evt.removed.forEach(function(model) {
+			delete batch.changed[model.guid];
+
+			if (batch.added[model.guid]) {
+				delete batch.added[model.guid];
+			} else {
+				batch.removed[model.guid] = model;
+			}
+		});
+
+		evt.changed.forEach(function(model) {
+			if (!batch.added[model.guid] && !batch.removed[model.guid]) {
+				batch.changed[model.guid] = model;
+			}
+		});
+
+		batch.invalid = batch.invalid.concat(evt.invalid || []);
+
+		return true;
 	};
 
 	/**
-	 * Base onBeforeRender event handler
+	 * trigger the events held back by a batch
+	 *
+	 * @param {Object} batch
 	 */
-	Collection.prototype.onBeforeRender = function(evt) {
-		this.log(['collection before render event handler', evt]);
+	Collection.prototype._flushBatch = function(batch) {
+		var values = function(map) {
+				return Object.keys(map).map(function(guid) {
+					return map[guid];
+				});
+			},
+			evt = {
+				added: values(batch.added),
+				removed: values(batch.removed),
+				changed: values(batch.changed),
+				invalid: batch.invalid
+			};
+
+		if (batch.dirty) {
+			this.trigger('dirty', {});
+		}
+
+		if (batch.sort) {
+			this.trigger('sort', {});
+		}
+
+		if (evt.added.length || evt.removed.length || evt.changed.length || evt.invalid.length) {
+			this._hasBeenRendered = false;
+			this.trigger('change', evt);
+		}
 	};
 
 	/**
-	 * Base onDirty event handler
+	 * start a history operation. nested operations (like the add inside a set) are part of the outer one,
+	 * so only the outermost returns the list of models to restore on undo
+	 *
+	 * @return {Array} models before the operation, or null
 	 */
-	Collection.prototype.onDirty = function(evt) {
-		this.log(['collection dirty event handler', evt]);
+	Collection.prototype._historyStart = function() {
+		if (!this.history) {
+			return null;
+		}
+
+		this.history.begin();
+		this._historyDepth++;
+
+		return this._historyDepth === 1 ? this.items.slice(0) : null;
 	};
 
 	/**
-	 * Base onError event handler
+	 * end a history operation, and record it if the list of models changed
+	 *
+	 * @param {Array} before models before the operation, from _historyStart
+	 * @param {String} type of the operation
 	 */
-	Collection.prototype.onError = function(evt) {
-		this.error(['collection error event handler', evt]);
-	};
+	Collection.prototype._historyEnd = function(before, type) {
+		if (!this.history) {
+			return;
+		}
 
-	// -- end Collection Class
+		var collection = this,
+			after = this.items.slice(0);
+
+		this._historyDepth--;
+
+		if (before && (before.length !== after.length || before.some(function(model, idx) {
+				return model !== after[idx];
+			}))) {
+			this.history.record({
+				type: type,
+				target: this,
+				undo: function() {
+					collection._restoreItems(before);
+				},
+				redo: function() {
+					collection._restoreItems(after);
+				}
+			});
+		}
+
+		this.history.end();
+	};
 
 	/**
-	 * Model Class
+	 * replace the list with the given models, used by undo and redo. triggers change if models were
+	 * added or removed, otherwise sort
 	 *
-	 * @constructor
-	 * @param {object} opt Options object
-	 * @param {object} attributes Object of attributes that the new model will have
+	 * @param {Array} models
 	 */
-	var Model = function(opt, attributes) {
-		opt = opt || {};
-
-		// basic props
-		this.guid = guid();
-		this.options = opt;
-		this.debug = opt.debug || false;
-		this._dirty = false;
+	Collection.prototype._restoreItems = function(models) {
+		var collection = this,
+			current = {},
+			next = {},
+			added = [],
+			removed = [];
 
-		// tracks changed attributes
-		this.changedAttributes = {};
+		this.items.forEach(function(model) {
+			current[model.guid] = true;
+		});
 
-		// this._synced = true;
-		// this.validate = false;
+		models.forEach(function(model) {
+			next[model.guid] = true;
 
-		this.collection = opt.collection || null;
-		this._uniqueField = 'id';
-		this.created = moment();
-		this.modified = moment();
+			if (!current[model.guid]) {
+				added.push(model);
+			}
+		});
 
-		// attributes
-		this.attributes = attributes || {};
+		removed = this.items.filter(function(model) {
+			return !next[model.guid];
+		});
 
-		// if there's no value for the unique field, add one
-		if (Object.keys(this.attributes).indexOf(this._uniqueField) === -1 || !this.attributes[this._uniqueField]) {
-			this.attributes[this._uniqueField] = uid();
-		}
+		// rebuild the list and the indexes
+		this.items = models.slice(0);
+		this._byId = {};
+		this._byGuid = {};
 
-		// merge functions into this class
-		$.extend(true, this, opt.functions);
+		this.items.forEach(function(model) {
+			model.collection = collection;
+			collection._index(model);
+		});
 
-		// template/dom
+		this.length = this.items.length;
 		this._hasBeenRendered = false;
-		this.$el = null;
-		this.template = opt.template ? this.initTemplate(opt.template) : null;
-		this.templateRender = '';
 
-		// TODO
-		// link the $el to a dom element or query
-
-		// events
-		this._events = {};
+		if (added.length || removed.length) {
+			this._dirty = true;
+			this.trigger('dirty', {});
 
-		// do anything that needs to get initialized
-		this._initialize.apply(this, this.options);
+			this.trigger('change', {
+				added: added,
+				removed: removed,
+				changed: [],
+				invalid: []
+			});
+		} else {
+			this.trigger('sort', {});
+		}
 	};
 
 	/**
-	 * internal init call
+	 * create a live, read-only view of the collection
 	 *
-	 * @param {Object} options - passed from constructor
+	 * @param {Object} options - filter, comparator, limit, name, template
+	 * @return {Object} view
 	 */
-	Model.prototype._initialize = function(options) {
-		this.log(['model init', options]);
+	Collection.prototype.createView = function(options) {
+		this.log(['collection createView', options]);
 
-		this.initialize.apply(this, this.options);
+		return new View(this, options);
+	};
 
-		// render template
-		if (this.template) {
-			this.render();
-		}
+	/**
+	 * @return {Int} total number of models, from the server in server paging mode
+	 */
+	Collection.prototype.getTotalCount = function() {
+		return this.paging === 'server' ? this.totalCount : this.length;
+	};
 
-		this._dirty = false;
+	/**
+	 * @return {Int} number of pages, at least 1
+	 */
+	Collection.prototype.pageCount = function() {
+		if (!this.pageSize) {
+			return 1;
+		}
 
-		// set the basic events
-		this.on('dirty', this.onDirty);
-		this.on('change', this.onChange);
-		this.on('render', this.onRender);
-		this.on('error', this.onError);
+		return Math.max(1, Math.ceil(this.getTotalCount() / this.pageSize));
 	};
 
 	/**
-	 * user overridable init
-	 *
-	 * @param {Object} options - will get options from constructor and internal init
+	 * @return {Object} paging state - page, pageSize, totalCount, pageCount, hasNext and hasPrev
 	 */
-	Model.prototype.initialize = function(options) {};
+	Collection.prototype.pageInfo = function() {
+		return {
+			page: this.page,
+			pageSize: this.pageSize,
+			totalCount: this.getTotalCount(),
+			pageCount: this.pageCount(),
+			hasNext: this.page < this.pageCount(),
+			hasPrev: this.page > 1
+		};
+	};
 
 	/**
-	 * mark the model as clean
-	 *
-	 * @param {Object} options
-	 * @return {Object} model for chaining
+	 * @return {Array} models on the current page. in server mode the collection only has the current page
 	 */
-	Model.prototype.clean = function(opt) {
-		this.changedAttributes = {};
-		this._dirty = false;
+	Collection.prototype.getPage = function() {
+		if (!this.pageSize || this.paging === 'server') {
+			return this.items.slice(0);
+		}
 
-		return this;
+		var start = (Math.min(this.page, this.pageCount()) - 1) * this.pageSize;
+
+		return this.items.slice(start, start + this.pageSize);
 	};
 
-	// 
 	/**
-	 * return single value or object of values from array of keys
+	 * go to a page, triggers pageChange. in server mode the page is fetched first
 	 *
-	 * @param {String, Array} key / keys
-	 * @return {Object} matching value or object with all values from array
+	 * @param {Int} page number, starting from 1
+	 * @param {Object} options - passed to fetch in server mode
+	 * @return {Object} collection for chaining, or the fetch promise in server mode
 	 */
-	Model.prototype.get = function(key) {
-		this.log(['model get', key]);
+	Collection.prototype.goToPage = function(page, options) {
+		this.log(['collection goToPage', page, options]);
 
-		if (!key) {
-			return this.getAttributes();
-		} else if ($.isArray(key)) {
-			var result = {},
-				model = this;
+		var collection = this,
+			previous = this.page;
 
-			// go through each key, extend objects or assign values
-			key.forEach(function(k, i, a) {
-				if (typeof model[k] === "object") {
-					result[k] = $.extend(true, {}, model.attributes[k]);
+		page = parseInt(page, 10) || 1;
+
+		// the server knows if there are more pages
+		if (this.paging === 'server') {
+			this.page = Math.max(1, page);
+
+			return this.fetch(options)
+				.done(function() {
+					collection._pageChanged(previous);
+				})
+				.fail(function() {
+					collection.page = previous;
+				});
+		}
+
+		this.page = Math.min(Math.max(1, page), this.pageCount());
+
+		if (this.page !== previous) {
+			this._pageChanged(previous);
+		}
+
+		return this;
+	};
+
+	/**
+	 * @param {Object} options - passed to goToPage
+	 * @return {Object} collection, or promise in server mode
+	 */
+	Collection.prototype.nextPage = function(options) {
+		return this.goToPage(this.page + 1, options);
+	};
+
+	/**
+	 * @param {Object} options - passed to goToPage
+	 * @return {Object} collection, or promise in server mode
+	 */
+	Collection.prototype.prevPage = function(options) {
+		return this.goToPage(this.page - 1, options);
+	};
+
+	/**
+	 * change the page size and go back to the first page
+	 *
+	 * @param {Int} pageSize, 0 shows everything
+	 * @param {Object} options - passed to goToPage
+	 * @return {Object} collection, or promise in server mode
+	 */
+	Collection.prototype.setPageSize = function(pageSize, options) {
+		var previous = this.page;
+
+		this.pageSize = parseInt(pageSize, 10) || 0;
+
+		if (this.paging === 'server') {
+			return this.goToPage(1, options);
+		}
+
+		this.page = 1;
+		this._pageChanged(previous);
+
+		return this;
+	};
+
+	/**
+	 * go back to the last page if the current one is past it, locally only since the server decides the pages
+	 */
+	Collection.prototype._clampPage = function() {
+		var previous = this.page;
+
+		if (this.paging === 'server' || this.page <= this.pageCount()) {
+			return;
+		}
+
+		this.page = this.pageCount();
+		this._pageChanged(previous);
+	};
+
+	/**
+	 * mark the list for rendering and trigger pageChange
+	 *
+	 * @param {Int} previous page number
+	 */
+	Collection.prototype._pageChanged = function(previous) {
+		this._hasBeenRendered = false;
+
+		this.trigger('pageChange', $.extend({
+			previous: previous
+		}, this.pageInfo()));
+	};
+
+	/**
+	 * render the whole list, and optionally child models
+	 *
+	 * @param {Object} options
+	 * @return {String, Function} rendered template in string or function form
+	 */
+	Collection.prototype.render = function(options) {
+		options = options || {};
+
+		var listItems = [];
+
+		this.log(['collection render', options]);
+
+		// if we don't have a template, return json
+		if (!this.template) {
+			return this.toJSON();
+		}
+
+		// if we either don't have it at all, or the model has changed since last render
+		if (!this._hasBeenRendered || options.force) {
+
+			this.trigger('beforeRender', {
+				options: options
+			});
+
+			this.templateRender = this.template({
+				id: this.id,
+				name: this.name,
+				created: this.created.format(),
+				page: this.pageSize ? this.pageInfo() : null,
+				items: (this.pageSize ? this.getPage() : this.items).map(function(item) {
+					return item.render();
+				})
+			});
+
+			this._hasBeenRendered = true;
+		}
+
+		// trigger event
+		this.trigger('render', {
+			options: options
+		});
+
+		return this.templateRender;
+	};
+
+	/**
+	 * attach the list to a container element, which from then on holds the element of each model (of the
+	 * current page). the container is patched on change, sort, clear and pageChange, only added and changed
+	 * models are rendered again, and elements are only moved when they are out of place
+	 *
+	 * @param {String, Object} container selector, element or jQuery object
+	 * @return {Object} collection for chaining
+	 */
+	Collection.prototype.attachTo = function(container) {
+		this.log(['collection attach', container]);
+
+		if (!this.model.template) {
+			throw new Error('No model template for Collection.attachTo!');
+		}
+
+		this._attach($(container).first().empty());
+		this._patch();
+
+		return this;
+	};
+
+	/**
+	 * use the container, and patch it on the events that change the list
+	 *
+	 * @param {Object} $container jQuery object
+	 */
+	Collection.prototype._attach = function($container) {
+		var collection = this,
+			patch = function(evt) {
+				collection._patch(evt);
+			};
+
+		this.detach();
+
+		this.$container = $container;
+
+		this._domHandlers = {
+			change: patch,
+			sort: patch,
+			pageChange: patch,
+			clear: function(evt) {
+				evt.items.forEach(function(model) {
+					if (model.$el) {
+						model.$el.detach();
+					}
+				});
+			}
+		};
+
+		Object.keys(this._domHandlers).forEach(function(eventName) {
+			collection._on(eventName, collection._domHandlers[eventName]);
+		});
+	};
+
+	/**
+	 * markup of the models (of the current page), each tagged with its guid as data-guid, and the state of
+	 * the collection in a script tag for hydrate(). doesn't need a DOM, so it works in Node.
+	 * model templates should have one root element
+	 *
+	 * @return {String} html for the container
+	 */
+	Collection.prototype.renderToString = function() {
+		this.log(['collection render to string']);
+
+		if (!this.model.template) {
+			throw new Error('No model template for Collection.renderToString!');
+		}
+
+		var html = (this.pageSize ? this.getPage() : this.items).map(function(model) {
+			return tagElement(model.render(), model.guid);
+		});
+
+		// < is escaped so the data can't close the script tag
+		html.push('<script type="application/json" data-pvcollection="' + escapeAttribute(this.id) + '">' +
+			this.toJSON(true).replace(/</g, '\\u003c') + '</script>');
+
+		return html.join('');
+	};
+
+	/**
+	 * rebuild the models from the state renderToString() put in the container, and attach to it. the models
+	 * keep the guids from the server and adopt the existing elements, so nothing is rendered again until
+	 * they change. meant for a collection that has no models yet
+	 *
+	 * @param {String, Object} container selector, element or jQuery object
+	 * @return {Object} collection for chaining
+	 */
+	Collection.prototype.hydrate = function(container) {
+		this.log(['collection hydrate', container]);
+
+		var $container = $(container).first(),
+			$state = $container.children('script[data-pvcollection]').first();
+
+		if (!$state.length) {
+			throw new Error('No state to hydrate the collection from!');
+		}
+
+		this._restoreState(JSON.parse($state.text()), true);
+		$state.remove();
+
+		this.items.forEach(function(model) {
+			var $el = $container.children('[data-guid="' + model.guid + '"]');
+
+			// the server rendered the same html, so the element is only replaced once the model renders differently
+			if ($el.length) {
+				model.setElement($el);
+				model._elementRender = model.render();
+			}
+		});
+
+		// models without an element, like ones on other pages, are rendered when they're needed
+		this._attach($container);
+		this._patch();
+
+		return this;
+	};
+
+	/**
+	 * stop patching the container, the elements are left as they are
+	 *
+	 * @return {Object} collection for chaining
+	 */
+	Collection.prototype.detach = function() {
+		var collection = this;
+
+		if (this._domHandlers) {
+			Object.keys(this._domHandlers).forEach(function(eventName) {
+				collection.off(eventName, collection._domHandlers[eventName]);
+			});
+		}
+
+		this._domHandlers = null;
+		this.$container = null;
+
+		return this;
+	};
+
+	/**
+	 * bring the container in line with the list
+	 *
+	 * @param {Object} evt change event, its added and changed models are rendered again
+	 */
+	Collection.prototype._patch = function(evt) {
+		if (!this.$container) {
+			return;
+		}
+
+		var container = this.$container[0],
+			visible = this.pageSize ? this.getPage() : this.items,
+			render = {},
+			previous = null,
+			stale = [],
+			next;
+
+		evt = evt || {};
+
+		(evt.removed || []).forEach(function(model) {
+			if (model.$el) {
+				model.$el.detach();
+			}
+		});
+
+		(evt.added || []).concat(evt.changed || []).forEach(function(model) {
+			render[model.guid] = true;
+		});
+
+		// models keep their element unless they're new or changed, and it's only moved if it's out of place
+		visible.forEach(function(model) {
+			var el = (model.$el && !render[model.guid] ? model.$el : model.renderElement())[0];
+
+			next = previous ? previous.nextSibling : container.firstChild;
+
+			if (next !== el) {
+				container.insertBefore(el, next);
+			}
+
+			previous = el;
+		});
+
+		// anything after the last visible model is on another page or no longer in the list
+		next = previous ? previous.nextSibling : container.firstChild;
+
+		while (next) {
+			stale.push(next);
+			next = next.nextSibling;
+		}
+
+		$(stale).detach();
+	};
+
+	/**
+	 * split a server response into model data and metadata. the response can either be an array of items,
+	 * or an object with an items array and an optional data object. each item is run through the model parser.
+	 *
+	 * @param {Array, Object} response from the server
+	 * @return {Object} object with items (or null if none were found) and data
+	 */
+	Collection.prototype.parse = function(response) {
+		this.log(['collection parse', response]);
+
+		var items = $.isArray(response) ? response : (response ? response.items : null);
+
+		return {
+			items: $.isArray(items) ? items.map(this.parseItem, this) : null,
+			data: (response && response.data) ? response.data : {}
+		};
+	};
+
+	/**
+	 * run a single item through the parse pipeline of the model template, like Model.parse(),
+	 * the parser is called in the context of the collection
+	 *
+	 * @param {Object} itemData raw item data
+	 * @return {Object} parsed item data
+	 */
+	Collection.prototype.parseItem = function(itemData) {
+		var parser = (this.model.functions && this.model.functions.parser) || Model.prototype.parser;
+
+		return parseData(this.model, parser, this, itemData);
+	};
+
+	/**
+	 * attributes from the serialized data of a model, like toJSON() output. the model serialized it, so only
+	 * the fields mapping is reversed, it doesn't go through the envelope and the parser meant for server data
+	 *
+	 * @param {Object} data serialized attributes
+	 * @return {Object} attributes
+	 */
+	Collection.prototype._restoreAttributes = function(data) {
+		return parseFields(normalizeFields(this.model.fields), data || {});
+	};
+
+	/**
+	 * @param {Array} items raw item data
+	 * @param {Function, Bool} parse function to run the items through, or true for parseItem
+	 * @return {Array} parsed items
+	 */
+	Collection.prototype._parseItems = function(items, parse) {
+		var collection = this;
+
+		return items.map(function(itemData) {
+			return typeof parse === 'function' ? parse.call(collection, itemData) : collection.parseItem(itemData);
+		});
+	};
+
+	/**
+	 * fetch the collection content from the server with the transport, and set() the parsed result
+	 *
+	 * @param {String} url, defaults to the collection url option
+	 * @param {Object} options - data for query params, request to extend the transport request,
+	 *                           silent, and the add, remove, merge and at options of set()
+	 * @return {Object} promise, resolved with the response and xhr (if any)
+	 */
+	Collection.prototype.fetch = function(url, options) {
+		if (url && typeof url === 'object') {
+			options = url;
+			url = null;
+		}
+
+		options = options || {};
+		url = url || options.url || this.url;
+
+		this.log(['collection fetch', url, options]);
+
+		var collection = this;
+
+		if (!url) {
+			return syncFailed(this, 'load', 'Collection.fetch() requires a url');
+		}
+
+		this.trigger('request', {
+			method: 'GET',
+			url: url,
+			options: options
+		});
+
+		return sync(this.transport, $.extend(true, {
+				url: url,
+				type: 'GET',
+				dataType: 'json',
+				data: this._pageParams(options.data)
+			}, options.request))
+			.done(function(response, xhr) {
+				var parsed = collection.parse(response);
+
+				if (collection.paging === 'server' && parsed.data[collection.totalKey] !== undefined) {
+					collection.totalCount = parseInt(parsed.data[collection.totalKey], 10) || 0;
+				}
+
+				if (!parsed.items) {
+					collection.log(['Fetch result was not an array of items'], 'warn');
 				} else {
-					result[k] = model.attributes[k];
+					collection.set(parsed.items, {
+						silent: options.silent,
+						add: options.add !== false,
+						remove: options.remove !== false,
+						merge: options.merge !== false,
+						at: options.at
+					});
+				}
+
+				collection.trigger('load', {
+					status: 'success',
+					error: null,
+					data: parsed.data,
+					response: response
+				});
+			})
+			.fail(function(error) {
+				syncFailed(collection, 'load', 'Collection.fetch() failed', error);
+			});
+	};
+
+	/**
+	 * add the page params to the fetch query data in server paging mode
+	 *
+	 * @param {Object} data query params
+	 * @return {Object} query params
+	 */
+	Collection.prototype._pageParams = function(data) {
+		if (this.paging !== 'server' || !this.pageSize) {
+			return data;
+		}
+
+		var params = {};
+
+		params[this.pageParams.page] = this.page;
+		params[this.pageParams.pageSize] = this.pageSize;
+
+		return $.extend(params, data);
+	};
+
+	/**
+	 * send all the models to the server with the transport. if the server responds with items,
+	 * they are set() silently to pick up serverside changes. the collection is cleaned deeply on success.
+	 *
+	 * @param {String} url, defaults to the collection url option
+	 * @param {Object} options - method (default PUT), request to extend the transport request
+	 * @return {Object} promise, resolved with the response and xhr (if any)
+	 */
+	Collection.prototype.save = function(url, options) {
+		if (url && typeof url === 'object') {
+			options = url;
+			url = null;
+		}
+
+		options = options || {};
+		url = url || options.url || this.url;
+
+		this.log(['collection save', url, options]);
+
+		var collection = this,
+			method = options.method || 'PUT';
+
+		if (!url) {
+			return syncFailed(this, 'save', 'Collection.save() requires a url');
+		}
+
+		if (this.storage && !this.isOnline()) {
+			return this._enqueue(url, method);
+		}
+
+		this._isSaving = true;
+
+		this.trigger('request', {
+			method: method,
+			url: url,
+			options: options
+		});
+
+		return sync(this.transport, $.extend(true, {
+				url: url,
+				type: method,
+				dataType: 'json',
+				contentType: 'application/json',
+				data: JSON.stringify(this.map(function(item) {
+					return item.serialize();
+				}))
+			}, options.request))
+			.done(function(response, xhr) {
+				var parsed = collection.parse(response);
+
+				collection._isSaving = false;
+
+				if (parsed.items && parsed.items.length) {
+					// this shouldn't trigger anything else, it's a set to update possible serverside changes to client
+					collection.set(parsed.items, {
+						silent: true
+					});
+				}
+
+				// deeply mark as clean
+				collection.clean(true);
+
+				collection.trigger('save', {
+					status: 'success',
+					error: null,
+					data: parsed.data,
+					response: response
+				});
+			})
+			.fail(function(error) {
+				collection._isSaving = false;
+
+				// the connection dropped during the request
+				if (collection.storage && !collection.isOnline()) {
+					collection._enqueue(url, method);
+					return;
+				}
+
+				syncFailed(collection, 'save', 'Collection.save() failed', error);
+			});
+	};
+
+	/**
+	 * @return {Bool} false if the browser is known to be offline
+	 */
+	Collection.prototype.isOnline = function() {
+		return !window.navigator || window.navigator.onLine !== false;
+	};
+
+	/**
+	 * restore from the storage, and keep it up to date from then on. called on startup if the storage option is given
+	 */
+	Collection.prototype._initStorage = function() {
+		var collection = this;
+
+		this._storageHandlers = {
+			schedule: function() {
+				collection._schedulePersist();
+			},
+			online: function() {
+				collection.replay();
+			}
+		};
+
+		['dirty', 'sort', 'clear', 'save', 'model:change'].forEach(function(eventName) {
+			collection._on(eventName, collection._storageHandlers.schedule);
+		});
+
+		if (window.addEventListener) {
+			window.addEventListener('online', this._storageHandlers.online);
+		}
+
+		this.restore().done(function() {
+			if (collection.queue.length && collection.isOnline()) {
+				collection.replay();
+			}
+		});
+	};
+
+	/**
+	 * stop keeping the collection in the storage and replaying saves when the browser is back online.
+	 * the stored data is left as it is
+	 *
+	 * @return {Object} collection for chaining
+	 */
+	Collection.prototype.detachStorage = function() {
+		var collection = this;
+
+		if (this._storageHandlers) {
+			['dirty', 'sort', 'clear', 'save', 'model:change'].forEach(function(eventName) {
+				collection.off(eventName, collection._storageHandlers.schedule);
+			});
+
+			if (window.removeEventListener) {
+				window.removeEventListener('online', this._storageHandlers.online);
+			}
+		}
+
+		clearTimeout(this._persistTimer);
+		this._persistTimer = null;
+		this._storageHandlers = null;
+		this.storage = null;
+
+		return this;
+	};
+
+	/**
+	 * load the models, the dirty state and the queued saves from the storage. the models are set() as usual,
+	 * then get back their dirty and new state, changedAttributes and timestamps. data of older versions has
+	 * just the attributes of each item
+	 *
+	 * @return {Object} promise, resolved with the stored data or null if there was none
+	 */
+	Collection.prototype.restore = function() {
+		this.log(['collection restore', this.storageKey]);
+
+		var collection = this;
+
+		if (!this.storage) {
+			return syncFailed(this, null, 'Collection.restore() requires a storage');
+		}
+
+		return this.storage.getItem(this.storageKey)
+			.done(function(stored) {
+				if (!stored) {
+					return;
+				}
+
+				var items = stored.items || [],
+					versioned = Boolean(stored.version);
+
+				collection._restoring = true;
+
+				collection.set(items.map(function(item) {
+					return collection._restoreAttributes(versioned ? item.attributes : item);
+				}));
+
+				if (!stored.dirty) {
+					collection.clean(true);
+				}
+
+				if (versioned) {
+					items.forEach(function(item) {
+						var restored = collection.getById(item.id);
+
+						if (restored) {
+							restoreModelState(restored, item);
+						}
+					});
+				}
+
+				collection.queue = stored.queue || [];
+
+				// restoring isn't an undo step
+				if (collection.history) {
+					collection.history.clear();
+				}
+
+				collection._restoring = false;
+
+				collection.trigger('restore', {
+					items: collection.items.slice(0),
+					queue: collection.queue.slice(0)
+				});
+			})
+			.fail(function(error) {
+				syncFailed(collection, null, 'Collection.restore() failed', error);
+			});
+	};
+
+	/**
+	 * write the models, the dirty state and the queued saves to the storage
+	 *
+	 * @return {Object} promise
+	 */
+	Collection.prototype.persist = function() {
+		this.log(['collection persist', this.storageKey]);
+
+		var collection = this;
+
+		if (!this.storage) {
+			return syncFailed(this, null, 'Collection.persist() requires a storage');
+		}
+
+		clearTimeout(this._persistTimer);
+		this._persistTimer = null;
+
+		// the same model state as toJSON(), computed attributes are left out so restoring can't reject them
+		return this.storage.setItem(this.storageKey, {
+				version: Collection.serializationVersion,
+				items: this.items.map(serializeModel),
+				dirty: this.isDirty(),
+				queue: this.queue,
+				savedAt: moment().format()
+			})
+			.fail(function(error) {
+				syncFailed(collection, null, 'Collection.persist() failed', error);
+			});
+	};
+
+	/**
+	 * persist once the current operations are done, several changes in a row are written once
+	 */
+	Collection.prototype._schedulePersist = function() {
+		var collection = this;
+
+		if (this._restoring || this._persistTimer) {
+			return;
+		}
+
+		this._persistTimer = setTimeout(function() {
+			collection.persist();
+		}, 0);
+	};
+
+	/**
+	 * queue a save for when the browser is back online. a save sends the whole collection,
+	 * so there's only one queued save per url and method
+	 *
+	 * @param {String} url
+	 * @param {String} method
+	 * @return {Object} promise, resolved when the save is replayed
+	 */
+	Collection.prototype._enqueue = function(url, method) {
+		var key = method + ' ' + url;
+
+		if (!this._queued[key]) {
+			this._queued[key] = $.Deferred();
+		}
+
+		if (!this.queue.some(function(operation) {
+				return operation.method + ' ' + operation.url === key;
+			})) {
+			this.queue.push({
+				url: url,
+				method: method,
+				queuedAt: moment().format()
+			});
+		}
+
+		this.trigger('queue', {
+			url: url,
+			method: method,
+			queue: this.queue.slice(0)
+		});
+
+		this.persist();
+
+		return this._queued[key].promise();
+	};
+
+	/**
+	 * send the queued saves, one after the other. a failed save stays in the queue, and the rest wait for it
+	 *
+	 * @return {Object} promise, resolved when the queue is empty
+	 */
+	Collection.prototype.replay = function() {
+		this.log(['collection replay', this.queue]);
+
+		var collection = this,
+			operation = this.queue[0],
+			key;
+
+		if (!operation) {
+			return $.Deferred().resolve().promise();
+		}
+
+		key = operation.method + ' ' + operation.url;
+
+		return this.save(operation.url, {
+				method: operation.method
+			})
+			.then(function(response, xhr) {
+				collection.queue.shift();
+
+				if (collection._queued[key]) {
+					collection._queued[key].resolve(response, xhr);
+					delete collection._queued[key];
+				}
+
+				collection.trigger('replay', {
+					url: operation.url,
+					method: operation.method,
+					queue: collection.queue.slice(0)
+				});
+
+				collection.persist();
+
+				return collection.replay();
+			});
+	};
+
+	/**
+	 * Base onSort event handler
+	 */
+	Collection.prototype.onSort = function(evt) {
+		this.log(['collection sort event handler', evt]);
+	};
+
+	/**
+	 * Base onClear event handler
+	 */
+	Collection.prototype.onClear = function(evt) {
+		this.log(['collection clear event handler', evt]);
+
+		this.length = 0;
+	};
+
+	/**
+	 * Base onChange event handler
+	 */
+	Collection.prototype.onChange = function(evt) {
+		this.log(['collection change event handler', evt]);
+	};
+
+	/**
+	 * Base onRender event handler, called after render is done
+	 */
+	Collection.prototype.onRender = function(evt) {
+		this.log(['collection render event handler', evt]);
+	};
+
+	/**
+	 * Base onBeforeRender event handler
+	 */
+	Collection.prototype.onBeforeRender = function(evt) {
+		this.log(['collection before render event handler', evt]);
+	};
+
+	/**
+	 * Base onDirty event handler
+	 */
+	Collection.prototype.onDirty = function(evt) {
+		this.log(['collection dirty event handler', evt]);
+	};
+
+	/**
+	 * Base onError event handler
+	 */
+	Collection.prototype.onError = function(evt) {
+		this.log(['collection error event handler', evt], 'error');
+	};
+
+	// -- end Collection Class
+
+	/**
+	 * Model Class
+	 *
+	 * @constructor
+	 * @param {object} opt Options object
+	 * @param {object} attributes Object of attributes that the new model will have
+	 */
+	var Model = function(opt, attributes) {
+		opt = opt || {};
+
+		// basic props
+		this.guid = guid();
+		this.options = opt;
+		this.debug = opt.debug || false;
+		this._dirty = false;
+
+		// tracks changed attributes, and the attributes before the last set that changed something
+		this.changedAttributes = {};
+		this._previousAttributes = {};
+
+		// this._synced = true;
+		// this.validate = false;
+
+		this.collection = opt.collection || null;
+		this.idAttribute = opt.idAttribute || 'id';
+		this.created = moment();
+		this.modified = moment();
+
+		// how server data maps to the attributes, see parse() and serialize()
+		this.fields = normalizeFields(opt.fields);
+		this.envelope = opt.envelope || null;
+
+		// typed attributes are coerced on set, unknown attributes are either allowed, stripped or rejected
+		this.types = normalizeTypes(opt.types);
+		this.unknownAttributes = opt.unknownAttributes || 'allow';
+
+		// true until the server has assigned the unique key
+		this._isNew = false;
+
+		// attributes, with the defaults of the typed attributes
+		this.attributes = $.extend(typeDefaults(this.types), coerceAttributes(opt, attributes || {}, this.idAttribute));
+
+		// related models and collections, and the owner if this model is a hasOne relation
+		this.relations = opt.relations || {};
+		this._parent = null;
+		this._initRelations();
+
+		// if there's no value for the unique key, add one into the id field. derived keys fall back to the guid
+		if (!idOf(this.idAttribute, this.attributes)) {
+			if (typeof this.idAttribute === 'string') {
+				this.attributes[this.idAttribute] = uid();
+			}
+			this._isNew = true;
+		}
+
+		// merge functions into this class
+		$.extend(true, this, opt.functions);
+
+		// validation, mode is either flag (set invalid data and report it) or reject (don't set invalid data)
+		this.schema = opt.schema || null;
+		this.validationMode = opt.validationMode || 'flag';
+		this.validationErrors = this.validate(this.attributes);
+
+		// computed attributes, recalculated when the attributes they depend on change
+		this.computed = normalizeComputed(opt.computed);
+		this.computedValues = {};
+		this._updateComputed(null, true);
+
+		// template/dom
+		this._hasBeenRendered = false;
+		this.$el = null;
+		this.renderer = opt.renderer || Collection.defaultRenderer;
+		this.template = opt.template ? this.initTemplate(opt.template) : null;
+		this.templateRender = '';
+		this._elementRender = null;
+
+		// forms bound to the attributes with bind()
+		this._bindings = [];
+
+		// an existing element, like server rendered html, is replaced on the first renderElement()
+		if (opt.el) {
+			this.setElement(opt.el);
+		}
+
+		// events, and the objects this one listens to
+		this._events = {};
+		this._listeningTo = [];
+
+		// do anything that needs to get initialized
+		this._initialize.apply(this, this.options);
+	};
+
+	/**
+	 * internal init call
+	 *
+	 * @param {Object} options - passed from constructor
+	 */
+	Model.prototype._initialize = function(options) {
+		this.log(['model init', options]);
+
+		this.initialize.apply(this, this.options);
+
+		// render template
+		if (this.template) {
+			this.render();
+		}
+
+		this._dirty = false;
+
+		// set the basic events
+		this._on('dirty', this.onDirty);
+		this._on('change', this.onChange);
+		this._on('render', this.onRender);
+		this._on('error', this.onError);
+
+		// keep the element up to date, after onDirty has reset the rendered state
+		this._on('dirty', this._updateElement);
+	};
+
+	/**
+	 * user overridable init
+	 *
+	 * @param {Object} options - will get options from constructor and internal init
+	 */
+	Model.prototype.initialize = function(options) {};
+
+	/**
+	 * mark the model as clean
+	 *
+	 * @param {Object} options
+	 * @return {Object} model for chaining
+	 */
+	Model.prototype.clean = function(opt) {
+		this.changedAttributes = {};
+		this._dirty = false;
+
+		return this;
+	};
+
+	// 
+	/**
+	 * return single value or object of values from array of keys, computed attributes included
+	 *
+	 * @param {String, Array} key / keys
+	 * @return {Object} matching value or object with all values from array
+	 */
+	Model.prototype.get = function(key) {
+		this.log(['model get', key]);
+
+		if (!key) {
+			return this.getAttributes();
+		} else if ($.isArray(key)) {
+			var result = {},
+				model = this;
+
+			// go through each key, extend objects or assign values
+			key.forEach(function(k, i, a) {
+				var value = model.computed.hasOwnProperty(k) ? model.computedValues[k] : model.attributes[k];
+
+				if ($.isPlainObject(value)) {
+					result[k] = $.extend(true, {}, value);
+				} else {
+					result[k] = value;
+				}
+			});
+
+			return result;
+
+		} else if (this.computed.hasOwnProperty(key)) {
+			return this.computedValues[key];
+		} else {
+			return this.attributes[key];
+		}
+	};
+
+	/**
+	 * set the value of one mor more attributes (or internal values)
+	 * model will be marked dirty, and the changedAttributes will be set to show what changed
+	 * attributes are validated against the schema. invalid data triggers an invalid event, and is not set
+	 * at all if the validation mode is reject
+	 *
+	 * @param {String, Object} single key, or an object of key/value pairs
+	 * @param {Object} value, if key is a string
+	 * @param {Bool} internal
+	 * @param {Bool} silent
+	 * @return {Object} model for chaining, false if the data was rejected
+	 */
+	Model.prototype.set = function(key, value, internal, silent) {
+		this.log(['model set', key, value, internal, silent]);
+
+		if (!arguments.length) {
+			this.trigger('error', {
+				message: 'Model.set requires key/value or data object to be set'
+			});
+
+			return false;
+		}
+
+		var model = this,
+			localProp = null,
+			input = {},
+			errors = {},
+			previousId = this.getId(),
+			history = null,
+			previous = {},
+			next = {},
+			changedKeys = [],
+			changes = [],
+			before = $.extend({}, this.attributes),
+			related = {};
+
+		// if the key is an object, we shift the arguments, as we don't have a value
+		if (typeof key === "object") {
+			silent = internal;
+			internal = value;
+			value = null;
+			input = $.extend({}, key);
+		} else {
+			input[key] = value;
+		}
+
+		// relations are merged into their model or collection separately
+		if (!internal) {
+			Object.keys(input).forEach(function(k) {
+				if (model.relations.hasOwnProperty(k)) {
+					related[k] = input[k];
+					delete input[k];
+				}
+			});
+		}
+
+		// unknown attributes are stripped or rejected if the model says so, typed attributes are coerced
+		if (!internal) {
+			if (model.unknownAttributes === 'reject' && unknownKeys(model.options, input, model.idAttribute).length) {
+				unknownKeys(model.options, input, model.idAttribute).forEach(function(k) {
+					errors[k] = k + ' is not a known attribute';
+				});
+
+				if (!silent) {
+					model.trigger('invalid', {
+						errors: errors,
+						attributes: input
+					});
+				}
+
+				return false;
+			}
+
+			input = coerceAttributes(model.options, input, model.idAttribute);
+
+			if (typeof key !== "object") {
+				value = input[key];
+			}
+		}
+
+		// validate what the attributes would be after the set
+		if (!internal) {
+			errors = model.validate($.extend(true, {}, model.attributes, input));
+
+			if (Object.keys(errors).length && model.validationMode === 'reject') {
+				if (!silent) {
+					model.trigger('invalid', {
+						errors: errors,
+						attributes: input
+					});
+				}
+
+				return false;
+			}
+		}
+
+		// keep the values that get replaced for undo
+		history = (!internal && model.collection) ? model.collection.history : null;
+
+		if (history) {
+			Object.keys(input).forEach(function(k) {
+				if (!isEqual(model.attributes[k], input[k])) {
+					previous[k] = model.attributes.hasOwnProperty(k) ? copyValue(model.attributes[k]) : absent;
+				}
+			});
+		}
+
+		if (typeof key === "object") {
+			// add the changed attributes into the model for tracking
+			for (var k in input) {
+				if (input.hasOwnProperty(k)) {
+					localProp = internal ? model[k] : model.attributes[k];
+
+					if (!isEqual(localProp, input[k])) {
+						model.changedAttributes[k] = input[k];
+						changedKeys.push(k);
+					}
+				}
+			}
+
+			// merge attributes
+			if (internal) {
+				$.extend(model, input);
+			} else {
+				model.attributes = $.extend(true, {}, model.attributes, input);
+			}
+
+		} else if (input.hasOwnProperty(key)) {
+			if (!isEqual(internal ? model[key] : model.attributes[key], value)) {
+				changedKeys.push(key);
+			}
+
+			if (internal) {
+				model[key] = value;
+			} else {
+				model.attributes[key] = value;
+			}
+
+			model.changedAttributes[key] = value;
+		}
+
+		// merge the relations, changedAttributes gets their serialized data
+		Object.keys(related).forEach(function(name) {
+			before[name] = serializeRelated(model.attributes[name]);
+
+			if (model._setRelated(name, related[name])) {
+				model.changedAttributes[name] = serializeRelated(model.attributes[name]);
+				changedKeys.push(name);
+			}
+		});
+
+		// previous and current value of each changed attribute, relations in serialized form
+		if (!internal && changedKeys.length) {
+			changes = changedKeys.map(function(k) {
+				return {
+					attr: k,
+					previous: before[k],
+					current: model.relations.hasOwnProperty(k) ? model.changedAttributes[k] : model.attributes[k]
+				};
+			});
+
+			model._previousAttributes = before;
+
+			// recalculate the computed attributes that depend on what changed
+			changes = changes.concat(model._updateComputed(changedKeys, true));
+		}
+
+		if (!internal) {
+			model.validationErrors = errors;
+
+			if (!silent && Object.keys(errors).length) {
+				model.trigger('invalid', {
+					errors: errors,
+					attributes: input
+				});
+			}
+		}
+
+		// check if anything actually changed and change timestamp
+		if (Object.keys(model.changedAttributes).length) {
+			model.modified = moment();
+		}
+
+		// keep the collection index up to date if the key changed
+		if (model.collection && model.getId() !== previousId && model.collection.getByGuid(model.guid)) {
+			model.collection._unindex(model, previousId);
+			model.collection._index(model);
+		}
+
+		if (history && Object.keys(previous).length) {
+			Object.keys(previous).forEach(function(k) {
+				next[k] = copyValue(model.attributes[k]);
+			});
+
+			history.record({
+				type: 'modelSet',
+				target: model,
+				undo: function() {
+					restoreAttributes(model, previous);
+				},
+				redo: function() {
+					restoreAttributes(model, next);
+				}
+			});
+		}
+
+		if (!silent) {
+			changes.forEach(function(change) {
+				model._triggerChange('change:' + change.attr, change);
+			});
+
+			model._triggerChange('change', {
+				changed: changes,
+				timestamp: model.modified
+			});
+		}
+
+		// set to dirty
+		model._dirty = true;
+		model.trigger('dirty', {});
+
+		return model;
+	};
+
+	/**
+	 * render item from template, or if item is clean, just return the already rendered html
+	 *
+	 * @return {String} rendered HTML template of the model
+	 */
+	Model.prototype.render = function(options) {
+		this.log(['model render', options]);
+
+		// if we don't have a template, return json
+		if (!this.template) {
+			return this.toJSON();
+		}
+
+		// if we either don't have it at all, or the model has changed since last render
+		if (!this._hasBeenRendered) {
+			// add the guid, validation state, computed attributes and related data of the model in the template for use
+			this.templateRender = this.template($.extend(true, {
+				guid: this.guid,
+				isValid: this.isValid(),
+				validationErrors: this.validationErrors
+			}, this.attributes, this.computedValues, this.serializeRelations()));
+			this._hasBeenRendered = true;
+		}
+
+		// trigger event
+		this.trigger('render', {
+			options: options
+		});
+
+		return this.templateRender;
+	};
+
+	/**
+	 * render the model into its element. the element is only replaced if the rendered html changed,
+	 * html with more than one top level node is wrapped in a div
+	 *
+	 * @return {Object} jQuery object of the element, or null if the model has no template
+	 */
+	Model.prototype.renderElement = function(options) {
+		this.log(['model render element', options]);
+
+		if (!this.template) {
+			return this.$el;
+		}
+
+		var html = this.render(options),
+			$el;
+
+		if (this.$el && html === this._elementRender) {
+			return this.$el;
+		}
+
+		$el = elementFrom(html);
+
+		if (this.$el) {
+			this.$el.replaceWith($el);
+		}
+
+		this.setElement($el);
+		this._elementRender = html;
+
+		return this.$el;
+	};
+
+	/**
+	 * link the model to an element, which gets the guid of the model as data-guid
+	 *
+	 * @param {String, Object} el selector, element or jQuery object
+	 * @return {Object} model for chaining
+	 */
+	Model.prototype.setElement = function(el) {
+		this.$el = $(el).first().attr('data-guid', this.guid);
+		this._elementRender = null;
+
+		return this;
+	};
+
+	/**
+	 * render the element again when the model changes, if it has one
+	 */
+	Model.prototype._updateElement = function() {
+		if (this.$el) {
+			this.renderElement();
+		}
+	};
+
+	/**
+	 * bind inputs in a form to attributes, both ways. inputs set the attributes through Model.set(),
+	 * and changes of the model are written back to the inputs. invalid fields get the invalid class,
+	 * aria-invalid and a custom validity message
+	 *
+	 * the mapping is attr: selector, or attr: { selector, format, parse }. format turns the attribute into
+	 * the input value and parse the other way around, both get the value and the model. without a mapping
+	 * every input with a name is bound to the attribute of the same name
+	 *
+	 * @param {String, Object} form selector, element or jQuery object
+	 * @param {Object} options - mapping, invalidClass (default is-invalid)
+	 * @return {Object} model for chaining
+	 */
+	Model.prototype.bind = function(form, options) {
+		this.log(['model bind', form, options]);
+
+		options = options || {};
+
+		var model = this,
+			binding = {
+				$form: $(form).first(),
+				fields: {},
+				invalidClass: options.invalidClass || 'is-invalid',
+				namespace: '.pvbind-' + this.guid,
+				setting: null
+			},
+			mapping = options.mapping;
+
+		// the same form can only be bound once
+		this.unbind(binding.$form);
+
+		if (!mapping) {
+			mapping = {};
+
+			binding.$form.find('[name]').each(function() {
+				mapping[this.name] = '[name="' + this.name + '"]';
+			});
+		}
+
+		Object.keys(mapping).forEach(function(attr) {
+			var field = typeof mapping[attr] === 'string' ? { selector: mapping[attr] } : $.extend({}, mapping[attr]);
+
+			field.selector = field.selector || '[name="' + attr + '"]';
+			binding.fields[attr] = field;
+
+			binding.$form.on('input' + binding.namespace + ' change' + binding.namespace, field.selector, function() {
+				var value = readInput(binding.$form.find(field.selector));
+
+				// the input being edited isn't written back to while its value is set
+				binding.setting = attr;
+				model.set(attr, field.parse ? field.parse(value, model) : value);
+				binding.setting = null;
+			});
+		});
+
+		binding.change = function() {
+			model._writeBinding(binding);
+			model._showValidation(binding, model.validationErrors);
+		};
+
+		binding.invalid = function(evt) {
+			model._showValidation(binding, evt.errors);
+		};
+
+		this._on('change', binding.change);
+		this._on('invalid', binding.invalid);
+		this._bindings.push(binding);
+
+		binding.change();
+
+		return this;
+	};
+
+	/**
+	 * remove the bindings of a form, or all of them
+	 *
+	 * @param {String, Object} form selector, element or jQuery object, or nothing for all forms
+	 * @return {Object} model for chaining
+	 */
+	Model.prototype.unbind = function(form) {
+		this.log(['model unbind', form]);
+
+		var model = this,
+			el = form ? $(form)[0] : null;
+
+		this._bindings = this._bindings.filter(function(binding) {
+			if (el && binding.$form[0] !== el) {
+				return true;
+			}
+
+			binding.$form.off(binding.namespace);
+			model.off('change', binding.change);
+			model.off('invalid', binding.invalid);
+
+			return false;
+		});
+
+		return this;
+	};
+
+	/**
+	 * write the attributes into the inputs of a binding
+	 *
+	 * @param {Object} binding
+	 */
+	Model.prototype._writeBinding = function(binding) {
+		var model = this;
+
+		Object.keys(binding.fields).forEach(function(attr) {
+			var field = binding.fields[attr],
+				value = model.get(attr);
+
+			if (attr !== binding.setting) {
+				writeInput(binding.$form.find(field.selector), field.format ? field.format(value, model) : value);
+			}
+		});
+	};
+
+	/**
+	 * mark the invalid inputs of a binding
+	 *
+	 * @param {Object} binding
+	 * @param {Object} errors object of field: message
+	 */
+	Model.prototype._showValidation = function(binding, errors) {
+		errors = errors || {};
+
+		Object.keys(binding.fields).forEach(function(attr) {
+			var message = errors[attr] || '';
+
+			binding.$form.find(binding.fields[attr].selector)
+				.toggleClass(binding.invalidClass, Boolean(message))
+				.attr('aria-invalid', message ? 'true' : 'false')
+				.each(function() {
+					if (this.setCustomValidity) {
+						this.setCustomValidity(message);
+					}
+				});
+		});
+	};
+
+	/**
+	 * validate attributes against the model schema, and the typed attributes against their type
+	 *
+	 * @param {Object} attributes to validate, defaults to the model attributes
+	 * @return {Object} object of field: message for each invalid field
+	 */
+	Model.prototype.validate = function(attributes) {
+		return checkAttributes(this.types, this.schema, attributes || this.attributes);
+	};
+
+	/**
+	 * turn the raw data of each relation into a live model or collection
+	 */
+	Model.prototype._initRelations = function() {
+		var model = this;
+
+		Object.keys(this.relations).forEach(function(name) {
+			model.attributes[name] = model._createRelated(name, model.attributes[name]);
+		});
+	};
+
+	/**
+	 * create the related model (hasOne) or collection (hasMany) of a relation. relations are defined as
+	 * { type: 'hasOne' or 'hasMany', model: model template, collection: collection options for hasMany }
+	 *
+	 * @param {String} name of the relation
+	 * @param {Object, Array} data for the related model or collection, or an existing instance
+	 * @return {Object} model, collection or null
+	 */
+	Model.prototype._createRelated = function(name, data) {
+		var relation = this.relations[name],
+			template = relation.model || {},
+			related = null;
+
+		if (data instanceof Model || data instanceof Collection) {
+			related = data;
+		} else if (relation.type === 'hasMany') {
+			related = new Collection($.extend({
+				name: name
+			}, relation.collection), template);
+		} else if (data !== undefined && data !== null) {
+			related = new Model($.extend(true, {}, template), $.extend(true, {}, template.attributes, data));
+		}
+
+		if (!related) {
+			return null;
+		}
+
+		// changes bubble up to this model
+		related._parent = {
+			model: this,
+			name: name
+		};
+		related._on('change', relatedChanged);
+
+		if (related instanceof Collection) {
+			related.items.forEach(function(item) {
+				item._on('change', relatedChanged);
+			});
+
+			if ($.isArray(data)) {
+				related.add(data, {
+					silent: true
+				});
+				related.clean(true);
+			}
+		}
+
+		return related;
+	};
+
+	/**
+	 * merge data into a relation. hasOne data is set on the related model, hasMany data is set() on the
+	 * related collection, and model or collection instances replace the old ones
+	 *
+	 * @param {String} name of the relation
+	 * @param {Object, Array} data
+	 * @return {Bool} true if the related data changed
+	 */
+	Model.prototype._setRelated = function(name, data) {
+		var current = this.attributes[name],
+			before = serializeRelated(current);
+
+		if (data instanceof Model || data instanceof Collection || data === null || data === undefined || !current) {
+			if (current && current !== data) {
+				current._parent = null;
+			}
+
+			this.attributes[name] = this._createRelated(name, data);
+		} else if (current instanceof Collection) {
+			current.set($.isArray(data) ? data : [data], {
+				silent: true
+			});
+		} else {
+			current.set(data, false, true);
+		}
+
+		return !isEqual(before, serializeRelated(this.attributes[name]));
+	};
+
+	/**
+	 * @return {Object} serialized data of each relation
+	 */
+	Model.prototype.serializeRelations = function() {
+		var result = {},
+			model = this;
+
+		Object.keys(this.relations).forEach(function(name) {
+			result[name] = serializeRelated(model.attributes[name]);
+		});
+
+		return result;
+	};
+
+	/**
+	 * a related model or collection changed. marks this model changed and dirty, triggers change:name and
+	 * change, and lets the collection of this model know
+	 *
+	 * @param {String} name of the relation
+	 * @param {Object} evt the change event of the related object
+	 */
+	Model.prototype._relatedChanged = function(name, evt) {
+		var current = this.attributes[name],
+			collection = this.collection,
+			change = {
+				attr: name,
+				current: current,
+				nested: evt
+			};
+
+		this.log(['model related change', name, evt]);
+
+		this.changedAttributes[name] = serializeRelated(current);
+		this.modified = moment();
+		this._updateComputed([name], false);
+
+		this._dirty = true;
+		this.trigger('dirty', {});
+
+		this._triggerChange('change:' + name, change);
+
+		this._triggerChange('change', {
+			changed: [change],
+			timestamp: this.modified,
+			nested: evt
+		});
+
+		if (collection && collection.getByGuid(this.guid)) {
+			collection._hasBeenRendered = false;
+			collection._dirty = true;
+			collection.trigger('dirty', {});
+
+			collection.trigger('change', {
+				added: [],
+				removed: [],
+				changed: [this],
+				invalid: []
+			});
+		}
+	};
+
+	/**
+	 * recalculate computed attributes. with a list of changed attributes, only the ones depending on them
+	 * are recalculated, and computed attributes that change are added to the list for the ones after them.
+	 * triggers change:name for each computed attribute whose value changed, unless silent
+	 *
+	 * @param {Array} changed attribute names, or null to recalculate all
+	 * @param {Bool} silent
+	 * @return {Array} attr, previous and current of each computed attribute that changed
+	 */
+	Model.prototype._updateComputed = function(changed, silent) {
+		var model = this,
+			changes = [];
+
+		Object.keys(this.computed).forEach(function(name) {
+			var definition = model.computed[name],
+				previous = model.computedValues[name],
+				current;
+
+			if (changed && definition.deps && !definition.deps.some(function(dep) {
+					return changed.indexOf(dep.split('.')[0]) > -1;
+				})) {
+				return;
+			}
+
+			current = definition.get.call(model, model.attributes);
+			model.computedValues[name] = current;
+
+			if (!isEqual(previous, current)) {
+				if (changed) {
+					changed.push(name);
+				}
+
+				changes.push({
+					attr: name,
+					previous: previous,
+					current: current
+				});
+
+				if (!silent) {
+					model._triggerChange('change:' + name, changes[changes.length - 1]);
+				}
+			}
+		});
+
+		return changes;
+	};
+
+	/**
+	 * trigger a change event, and relay it to the collection of the model as model:change or model:change:name,
+	 * with the model added to the event data
+	 *
+	 * @param {String} eventName
+	 * @param {Object} evt
+	 */
+	Model.prototype._triggerChange = function(eventName, evt) {
+		var collection = this.collection;
+
+		this.trigger(eventName, evt);
+
+		if (collection && collection.getByGuid(this.guid)) {
+			collection.trigger('model:' + eventName, $.extend({
+				model: this
+			}, evt));
+		}
+	};
+
+	/**
+	 * @param {String} attr attribute name
+	 * @return {Mixed} value of the attribute before the last set that changed something
+	 */
+	Model.prototype.previous = function(attr) {
+		return this._previousAttributes[attr];
+	};
+
+	/**
+	 * @return {Object} copy of the attributes before the last set that changed something
+	 */
+	Model.prototype.previousAttributes = function() {
+		return $.extend(true, {}, this._previousAttributes);
+	};
+
+	/**
+	 * @return {Bool} true if the model attributes passed validation on the last set
+	 */
+	Model.prototype.isValid = function() {
+		return !Object.keys(this.validationErrors).length;
+	};
+
+	/**
+	 * @return {String, Number} unique key of the model from the id attribute, or the guid if it can't be derived
+	 */
+	Model.prototype.getId = function() {
+		var id = idOf(this.idAttribute, this.attributes);
+
+		return (id === undefined || id === null || id === '') ? this.guid : id;
+	};
+
+	/**
+	 * @return {Bool} true if the unique key was generated on the client and the model has not been saved
+	 */
+	Model.prototype.isNew = function() {
+		return this._isNew;
+	};
+
+	/**
+	 * the url option of the model or the collection url, with the unique key appended for saved models
+	 *
+	 * @return {String} url of the model, or null if there is no base url
+	 */
+	Model.prototype.url = function() {
+		var base = this.options.url || (this.collection ? this.collection.url : null);
+
+		if (!base) {
+			return null;
+		}
+
+		if (this.isNew()) {
+			return base;
+		}
+
+		return base.replace(/\/$/, '') + '/' + encodeURIComponent(this.getId());
+	};
+
+	/**
+	 * fetch the model attributes from the server, run them through the parser and set them
+	 *
+	 * @param {Object} options - silent, request to extend the transport request
+	 * @return {Object} promise, resolved with the response and xhr (if any)
+	 */
+	Model.prototype.fetch = function(options) {
+		options = options || {};
+
+		this.log(['model fetch', options]);
+
+		var model = this,
+			url = options.url || this.url();
+
+		if (!url || this.isNew()) {
+			return syncFailed(this, null, 'Model.fetch() requires a saved model and a url');
+		}
+
+		return modelSync(this, 'GET', url, null, options)
+			.done(function(response) {
+				model.set(model.parse(response), false, options.silent);
+				model.clean();
+
+				model.trigger('sync', {
+					method: 'GET',
+					response: response
+				});
+			})
+			.fail(function(error) {
+				syncFailed(model, null, 'Model.fetch() failed', error);
+			});
+	};
+
+	/**
+	 * save the model to the server. new models are created with POST, saved models send their
+	 * changedAttributes with PATCH, or the whole model with PUT if options.full is set.
+	 * attributes in the response are set silently, and the model is cleaned.
+	 *
+	 * @param {Object} options - full, method, url, request to extend the transport request
+	 * @return {Object} promise, resolved with the response and xhr (if any)
+	 */
+	Model.prototype.save = function(options) {
+		options = options || {};
+
+		this.log(['model save', options]);
+
+		var model = this,
+			isNew = this.isNew(),
+			url = options.url || this.url(),
+			method = options.method || (isNew ? 'POST' : (options.full ? 'PUT' : 'PATCH')),
+			payload = (isNew || options.full) ? this.serialize() : this.serialize(this.changedAttributes);
+
+		if (!url) {
+			return syncFailed(this, null, 'Model.save() requires a url from the model or its collection');
+		}
+
+		// nothing to send
+		if (!isNew && !options.full && !Object.keys(payload).length) {
+			return $.Deferred().resolve(null, null).promise();
+		}
+
+		// the generated id is only meaningful on the client
+		if (isNew) {
+			omitGeneratedId(this, payload);
+		}
+
+		return modelSync(this, method, url, payload, options)
+			.done(function(response) {
+				var attributes = response && typeof response === 'object' ? model.parse(response) : null;
+
+				if (attributes && Object.keys(attributes).length) {
+					model.set(attributes, false, true);
+				}
+
+				if (isNew && attributes && idOf(model.idAttribute, attributes) != null) {
+					model._isNew = false;
+				}
+
+				model.clean();
+
+				model.trigger('sync', {
+					method: method,
+					response: response
+				});
+			})
+			.fail(function(error) {
+				syncFailed(model, null, 'Model.save() failed', error);
+			});
+	};
+
+	/**
+	 * delete the model on the server and remove it from its collection once the server confirms.
+	 * new models are only removed from the collection.
+	 *
+	 * @param {Object} options - silent, url, request to extend the transport request
+	 * @return {Object} promise, resolved with the response and xhr (if any)
+	 */
+	Model.prototype.destroy = function(options) {
+		options = options || {};
+
+		this.log(['model destroy', options]);
+
+		var model = this,
+			url = options.url || this.url(),
+			finish = function(response) {
+				if (model.collection) {
+					model.collection.remove(model, {
+						silent: options.silent
+					});
+				}
+
+				model.trigger('destroy', {
+					response: response
+				});
+			};
+
+		if (this.isNew()) {
+			finish(null);
+
+			return $.Deferred().resolve(null, null).promise();
+		}
+
+		if (!url) {
+			return syncFailed(this, null, 'Model.destroy() requires a url from the model or its collection');
+		}
+
+		return modelSync(this, 'DELETE', url, null, options)
+			.done(function(response) {
+				finish(response);
+
+				model.trigger('sync', {
+					method: 'DELETE',
+					response: response
+				});
+			})
+			.fail(function(error) {
+				syncFailed(model, null, 'Model.destroy() failed', error);
+			});
+	};
+
+	/**
+	 * @return {Object} returns object of all the model data attributes
+	 */
+	Model.prototype.getAttributes = function() {
+		this.log(['model getAttributes']);
+
+		return this.attributes;
+	};
+
+	/**
+	 * parse raw server data into model attributes. overwrite this in the model functions,
+	 * the collection calls it in its own context for every item it fetches.
+	 *
+	 * @param {Object} input raw item data
+	 * @return {Object} object of parsed data, by default the input as is
+	 */
+	Model.prototype.parser = function(input) {
+		this.log(['model parser', input]);
+
+		return input;
+	};
+
+	/**
+	 * turn raw server data into attributes. the envelope key is unwrapped if the data has it, the result
+	 * goes through the parser, then the fields mapping renames keys and converts values, like ISO strings to moments
+	 *
+	 * @param {Object} raw server data
+	 * @return {Object} attributes
+	 */
+	Model.prototype.parse = function(raw) {
+		this.log(['model parse', raw]);
+
+		return parseData(this, this.parser, this, raw);
+	};
+
+	/**
+	 * the reverse of parse(), attributes in the wire format. the fields mapping renames the keys back
+	 * and converts the values, like moments to ISO strings
+	 *
+	 * @param {Object} attributes to serialize, defaults to all attributes with related data and computed values
+	 * @return {Object} serialized data
+	 */
+	Model.prototype.serialize = function(attributes) {
+		var json = $.extend(true, {}, attributes || this.attributes),
+			model = this;
+
+		if (attributes) {
+			return serializeFields(this.fields, json);
+		}
+
+		// related models and collections are serialized recursively
+		Object.keys(this.relations).forEach(function(name) {
+			json[name] = serializeRelated(model.attributes[name]);
+		});
+
+		// computed attributes are only included if they ask for it
+		Object.keys(this.computed).forEach(function(name) {
+			if (model.computed[name].toJSON) {
+				json[name] = copyValue(model.computedValues[name]);
+			}
+		});
+
+		return serializeFields(this.fields, json);
+	};
+
+	/**
+	 * @return {Object} the serialized model
+	 */
+	Model.prototype.toJSON = function() {
+		return this.serialize();
+	};
+
+	/**
+	 * Base onChange event handler
+	 */
+	Model.prototype.onChange = function(evt) {
+		this.log(['model change event handler', evt]);
+	};
+
+	/**
+	 * Base onRender event handler
+	 */
+	Model.prototype.onRender = function(evt) {
+		this.log(['model render event handler', evt]);
+	};
+
+	/**
+	 * Base onDirty event handler, model has become dirty
+	 */
+	Model.prototype.onDirty = function(evt) {
+		this.log(['model dirty event handler', evt]);
+
+		this._hasBeenRendered = false;
+	};
+
+	/**
+	 * Base onError event handler
+	 */
+	Model.prototype.onError = function(evt) {
+		this.log(['model error event handler', evt]);
+	};
+
+	// -- end Model Class
+
+	/**
+	 * History Class
+	 * records reversible operations of collections and their models, for undo and redo.
+	 * operations are objects with undo and redo functions, and each undo step is a group of operations.
+	 *
+	 * @constructor
+	 * @param {object} opt Options object - depth is the number of undo steps kept
+	 */
+	var History = function(opt) {
+		opt = opt || {};
+
+		this.depth = opt.depth || 100;
+		this.debug = opt.debug || false;
+
+		this.undoStack = [];
+		this.redoStack = [];
+
+		// operations of the group being recorded
+		this._group = null;
+		this._groupDepth = 0;
+
+		// true while undoing or redoing, so nothing gets recorded
+		this._applying = false;
+
+		// events, and the objects this one listens to
+		this._events = {};
+		this._listeningTo = [];
+	};
+
+	/**
+	 * record an operation, either into the current group or as its own undo step
+	 *
+	 * @param {Object} operation with undo and redo functions
+	 * @return {Object} history for chaining
+	 */
+	History.prototype.record = function(operation) {
+		if (this._applying) {
+			return this;
+		}
+
+		this.log(['history record', operation.type]);
+
+		if (this._group) {
+			this._group.push(operation);
+		} else {
+			this._push([operation]);
+		}
+
+		return this;
+	};
+
+	/**
+	 * start a group, everything recorded until the matching end() is one undo step. groups can be nested
+	 *
+	 * @return {Object} history for chaining
+	 */
+	History.prototype.begin = function() {
+		if (this._groupDepth === 0) {
+			this._group = [];
+		}
+
+		this._groupDepth++;
+
+		return this;
+	};
+
+	/**
+	 * end a group started with begin()
+	 *
+	 * @return {Object} history for chaining
+	 */
+	History.prototype.end = function() {
+		var step;
+
+		if (!this._groupDepth) {
+			return this;
+		}
+
+		this._groupDepth--;
+
+		if (this._groupDepth === 0) {
+			step = this._group;
+			this._group = null;
+
+			if (step.length) {
+				this._push(step);
+			}
+		}
+
+		return this;
+	};
+
+	/**
+	 * run a function and record everything it does as one undo step
+	 *
+	 * @param {Function} fn
+	 * @param {Object} context for the function
+	 * @return {Object} history for chaining
+	 */
+	History.prototype.group = function(fn, context) {
+		this.begin();
+
+		try {
+			fn.call(context);
+		} finally {
+			this.end();
+		}
+
+		return this;
+	};
+
+	/**
+	 * @return {Bool} true if there is a step to undo
+	 */
+	History.prototype.canUndo = function() {
+		return this.undoStack.length > 0;
+	};
+
+	/**
+	 * @return {Bool} true if there is a step to redo
+	 */
+	History.prototype.canRedo = function() {
+		return this.redoStack.length > 0;
+	};
+
+	/**
+	 * undo the last step, its operations are undone in reverse order
+	 *
+	 * @return {Bool} false if there was nothing to undo
+	 */
+	History.prototype.undo = function() {
+		if (!this.canUndo()) {
+			return false;
+		}
+
+		var step = this.undoStack.pop();
+
+		this._apply(step.slice(0).reverse(), 'undo');
+		this.redoStack.push(step);
+
+		this.trigger('undo', {
+			operations: step
+		});
+
+		return true;
+	};
+
+	/**
+	 * redo the last undone step
+	 *
+	 * @return {Bool} false if there was nothing to redo
+	 */
+	History.prototype.redo = function() {
+		if (!this.canRedo()) {
+			return false;
+		}
+
+		var step = this.redoStack.pop();
+
+		this._apply(step, 'redo');
+		this.undoStack.push(step);
+
+		this.trigger('redo', {
+			operations: step
+		});
+
+		return true;
+	};
+
+	/**
+	 * forget all the recorded steps
+	 *
+	 * @return {Object} history for chaining
+	 */
+	History.prototype.clear = function() {
+		this.undoStack = [];
+		this.redoStack = [];
+
+		return this;
+	};
+
+	/**
+	 * add a step to the undo stack, drop the oldest ones past the depth and clear the redo stack
+	 *
+	 * @param {Array} step of operations
+	 */
+	History.prototype._push = function(step) {
+		this.undoStack.push(step);
+
+		if (this.undoStack.length > this.depth) {
+			this.undoStack.splice(0, this.undoStack.length - this.depth);
+		}
+
+		this.redoStack = [];
+	};
+
+	/**
+	 * run undo or redo of each operation without recording them
+	 *
+	 * @param {Array} operations
+	 * @param {String} direction, undo or redo
+	 */
+	History.prototype._apply = function(operations, direction) {
+		this.log(['history ' + direction, operations]);
+
+		this._applying = true;
+
+		try {
+			operations.forEach(function(operation) {
+				operation[direction]();
+			});
+		} finally {
+			this._applying = false;
+		}
+	};
+
+	// -- end History Class
+
+	/**
+	 * View Class
+	 * read-only, live filtered and sorted list of the models of a collection. it follows the changes of
+	 * the collection and its models, and triggers change when models enter or leave the view, or change in it
+	 *
+	 * @constructor
+	 * @param {object} source Collection the view follows
+	 * @param {object} opt Options object - filter, comparator, limit, name, template, debug
+	 */
+	var View = function(source, opt) {
+		opt = opt || {};
+
+		var view = this;
+
+		// basic props
+		this.id = guid();
+		this.name = opt.name || source.name + ' view';
+		this.options = opt;
+		this.debug = opt.debug || false;
+		this.created = moment();
+		this.source = source;
+
+		// view rules, filter and comparator get models, without a comparator the source order is kept
+		// the filter can also be a query object, like in Collection.where()
+		this.filterFn = opt.filter ? matcher(opt.filter) : null;
+		this.comparator = opt.comparator || null;
+		this.limit = opt.limit || 0;
+
+		// template, defaults to the one of the source
+		this.renderer = opt.renderer || source.renderer;
+		this.template = opt.template ? this.initTemplate(opt.template) : source.template;
+		this._hasBeenRendered = false;
+		this.templateRender = null;
+
+		// models in the view
+		this.items = [];
+		this._byGuid = {};
+		this.length = 0;
+
+		// models of the source whose changes are followed
+		this._watched = {};
+
+		// events, and the objects this one listens to
+		this._events = {};
+		this._listeningTo = [];
+
+		// handlers, kept so they can be removed in destroy
+		this._handlers = {
+			// models merged silently by Collection.set come in the changed list of the source
+			change: function(evt) {
+				var changed;
+
+				view.refresh();
+
+				changed = ((evt && evt.changed) || []).filter(function(model) {
+					return view._byGuid.hasOwnProperty(model.guid);
+				});
+
+				if (changed.length) {
+					view._hasBeenRendered = false;
+
+					view.trigger('change', {
+						added: [],
+						removed: [],
+						changed: changed,
+						invalid: []
+					});
+				}
+			},
+			clear: function() {
+				view.refresh([]);
+			},
+			// a model that stays in the view is listed as changed, so the view can be rendered again
+			model: function() {
+				var model = this,
+					member = view._byGuid.hasOwnProperty(model.guid);
+
+				view.refresh();
+
+				if (member && view._byGuid.hasOwnProperty(model.guid)) {
+					view._hasBeenRendered = false;
+
+					view.trigger('change', {
+						added: [],
+						removed: [],
+						changed: [model],
+						invalid: []
+					});
+				}
+			}
+		};
+
+		source._on('change', this._handlers.change);
+		source._on('sort', this._handlers.change);
+		source._on('clear', this._handlers.clear);
+
+		this.refresh();
+	};
+
+	/**
+	 * recalculate which models are in the view. triggers change if models were added or removed,
+	 * and sort if only the order changed
+	 *
+	 * @param {Array} sourceItems models to use instead of the source items
+	 * @return {Object} view for chaining
+	 */
+	View.prototype.refresh = function(sourceItems) {
+		sourceItems = sourceItems || this.source.items;
+
+		var view = this,
+			next = this.filterFn ? sourceItems.filter(this.filterFn) : sourceItems.slice(0),
+			nextGuids = {},
+			added = [],
+			removed = [],
+			reordered = false;
+
+		this.log(['view refresh', this.name]);
+
+		if (this.comparator) {
+			next.sort(this.comparator);
+		}
+		if (this.limit) {
+			next = next.slice(0, this.limit);
+		}
+
+		next.forEach(function(model, idx) {
+			nextGuids[model.guid] = model;
+
+			if (!view._byGuid[model.guid]) {
+				added.push(model);
+			} else if (view.items[idx] !== model) {
+				reordered = true;
+			}
+		});
+
+		removed = this.items.filter(function(model) {
+			return !nextGuids[model.guid];
+		});
+
+		this._watch(sourceItems);
+
+		this.items = next;
+		this._byGuid = nextGuids;
+		this.length = next.length;
+
+		if (added.length || removed.length) {
+			this._hasBeenRendered = false;
+
+			this.trigger('change', {
+				added: added,
+				removed: removed,
+				changed: [],
+				invalid: []
+			});
+		} else if (reordered) {
+			this._hasBeenRendered = false;
+
+			this.trigger('sort', {});
+		}
+
+		return this;
+	};
+
+	/**
+	 * follow the changes of the source models, and stop following the ones no longer in the source
+	 *
+	 * @param {Array} sourceItems
+	 */
+	View.prototype._watch = function(sourceItems) {
+		var view = this,
+			current = {};
+
+		sourceItems.forEach(function(model) {
+			current[model.guid] = true;
+
+			if (!view._watched[model.guid]) {
+				view._watched[model.guid] = model;
+				model._on('change', view._handlers.model);
+			}
+		});
+
+		Object.keys(this._watched).forEach(function(guid) {
+			if (!current[guid]) {
+				view._watched[guid].off('change', view._handlers.model);
+				delete view._watched[guid];
+			}
+		});
+	};
+
+	/**
+	 * @param {Function, Object} fn filter or query object for the models, or null for all
+	 * @return {Object} view for chaining
+	 */
+	View.prototype.setFilter = function(fn) {
+		this.filterFn = fn ? matcher(fn) : null;
+
+		return this.refresh();
+	};
+
+	/**
+	 * @param {Function} fn comparator for the models, or null for the source order
+	 * @return {Object} view for chaining
+	 */
+	View.prototype.setComparator = function(fn) {
+		this.comparator = fn || null;
+
+		return this.refresh();
+	};
+
+	/**
+	 * @param {Int} limit maximum number of models in the view, 0 for no limit
+	 * @return {Object} view for chaining
+	 */
+	View.prototype.setLimit = function(limit) {
+		this.limit = limit || 0;
+
+		return this.refresh();
+	};
+
+	/**
+	 * stop following the source and its models
+	 */
+	View.prototype.destroy = function() {
+		this.source.off('change', this._handlers.change);
+		this.source.off('sort', this._handlers.change);
+		this.source.off('clear', this._handlers.clear);
+
+		this._watch([]);
+	};
+
+	/**
+	 * @param {String} guid of the model
+	 * @return {Object} model or null if it's not in the view
+	 */
+	View.prototype.getByGuid = function(guid) {
+		return this._byGuid.hasOwnProperty(guid) ? this._byGuid[guid] : null;
+	};
+
+	// read-only methods shared with the collection
+	['get', 'first', 'last', 'where', 'findWhere', 'filter', 'map', 'contains', 'toJSON', 'render', 'createView', 'pluck', 'reduce',
+		'sum', 'avg', 'min', 'max', 'uniq', 'groupBy', 'countBy'].forEach(function(method) {
+		View.prototype[method] = Collection.prototype[method];
+	});
+
+	// -- end View Class
+
+	/**
+	 * Storage adapters
+	 * keep collections through page reloads. an adapter has getItem(key), setItem(key, value) and removeItem(key),
+	 * which return promises. values are plain data, getItem resolves with null for a missing key
+	 */
+
+	/**
+	 * in-memory storage, for tests
+	 *
+	 * @constructor
+	 */
+	var MemoryStorage = function() {
+		this.data = {};
+	};
+
+	MemoryStorage.prototype.getItem = function(key) {
+		return $.Deferred().resolve(this.data.hasOwnProperty(key) ? JSON.parse(this.data[key]) : null).promise();
+	};
+
+	MemoryStorage.prototype.setItem = function(key, value) {
+		this.data[key] = JSON.stringify(value);
+
+		return $.Deferred().resolve().promise();
+	};
+
+	MemoryStorage.prototype.removeItem = function(key) {
+		delete this.data[key];
+
+		return $.Deferred().resolve().promise();
+	};
+
+	/**
+	 * localStorage, or any other Web Storage like sessionStorage
+	 *
+	 * @constructor
+	 * @param {Object} opt Options object - prefix for the keys (default pvcollection:), storage (default localStorage)
+	 */
+	var LocalStorage = function(opt) {
+		opt = opt || {};
+
+		this.prefix = opt.prefix === undefined ? 'pvcollection:' : opt.prefix;
+		this.storage = opt.storage || window.localStorage;
+	};
+
+	LocalStorage.prototype.getItem = function(key) {
+		var deferred = $.Deferred(),
+			value;
+
+		try {
+			value = this.storage.getItem(this.prefix + key);
+			deferred.resolve(value === null ? null : JSON.parse(value));
+		} catch (e) {
+			deferred.reject(syncError(e));
+		}
+
+		return deferred.promise();
+	};
+
+	LocalStorage.prototype.setItem = function(key, value) {
+		var deferred = $.Deferred();
+
+		// throws when the quota is exceeded
+		try {
+			this.storage.setItem(this.prefix + key, JSON.stringify(value));
+			deferred.resolve();
+		} catch (e) {
+			deferred.reject(syncError(e));
+		}
+
+		return deferred.promise();
+	};
+
+	LocalStorage.prototype.removeItem = function(key) {
+		this.storage.removeItem(this.prefix + key);
+
+		return $.Deferred().resolve().promise();
+	};
+
+	/**
+	 * IndexedDB storage, for collections too big for localStorage
+	 *
+	 * @constructor
+	 * @param {Object} opt Options object - name of the database (default pvcollection), store (default collections)
+	 */
+	var IndexedDBStorage = function(opt) {
+		opt = opt || {};
+
+		this.name = opt.name || 'pvcollection';
+		this.store = opt.store || 'collections';
+		this.indexedDB = opt.indexedDB || window.indexedDB;
+		this._db = null;
+	};
+
+	/**
+	 * open the database, once
+	 *
+	 * @return {Object} promise, resolved with the database
+	 */
+	IndexedDBStorage.prototype._open = function() {
+		var storage = this,
+			deferred,
+			request;
+
+		if (this._db) {
+			return this._db;
+		}
+
+		deferred = $.Deferred();
+		this._db = deferred.promise();
+
+		try {
+			request = this.indexedDB.open(this.name, 1);
+		} catch (e) {
+			this._db = null;
+			return deferred.reject(syncError(e)).promise();
+		}
+
+		request.onupgradeneeded = function() {
+			request.result.createObjectStore(storage.store);
+		};
+
+		request.onsuccess = function() {
+			deferred.resolve(request.result);
+		};
+
+		request.onerror = function() {
+			storage._db = null;
+			deferred.reject(syncError(request.error));
+		};
+
+		return this._db;
+	};
+
+	/**
+	 * run a request on the object store
+	 *
+	 * @param {String} mode readonly or readwrite
+	 * @param {Function} fn gets the store and returns the request
+	 * @return {Object} promise, resolved with the result of the request
+	 */
+	IndexedDBStorage.prototype._request = function(mode, fn) {
+		var storage = this;
+
+		return this._open().then(function(db) {
+			var deferred = $.Deferred(),
+				request;
+
+			try {
+				request = fn(db.transaction(storage.store, mode).objectStore(storage.store));
+			} catch (e) {
+				return deferred.reject(syncError(e)).promise();
+			}
+
+			request.onsuccess = function() {
+				deferred.resolve(request.result);
+			};
+
+			request.onerror = function() {
+				deferred.reject(syncError(request.error));
+			};
+
+			return deferred.promise();
+		});
+	};
+
+	IndexedDBStorage.prototype.getItem = function(key) {
+		return this._request('readonly', function(store) {
+			return store.get(key);
+		}).then(function(value) {
+			return value === undefined ? null : JSON.parse(value);
+		});
+	};
+
+	IndexedDBStorage.prototype.setItem = function(key, value) {
+		return this._request('readwrite', function(store) {
+			return store.put(JSON.stringify(value), key);
+		});
+	};
+
+	IndexedDBStorage.prototype.removeItem = function(key) {
+		return this._request('readwrite', function(store) {
+			return store['delete'](key);
+		});
+	};
+
+	// -- end Storage adapters
+
+
+	// Methods for both
+
+	// logger
+	View.prototype.log = History.prototype.log = Model.prototype.log = Collection.prototype.log = function(message, type) {
+		type = type || 'log';
+
+		if (this.debug) {
+			if (typeof message === 'string') {
+				console[type](message);
+			} else {
+				console[type](Array.prototype.slice.apply(message));
+			}
+		}
+	};
+
+	// check what the template is and deal with it. strings are compiled with the renderer, functions are
+	// already compiled (like precompiled JST templates). returns a function of data that renders a string
+	View.prototype.initTemplate = Model.prototype.initTemplate = Collection.prototype.initTemplate = function(_template) {
+		var renderer = getRenderer(this.renderer),
+			compiled = null;
+
+		if (typeof _template == 'function') {
+			compiled = _template;
+		} else if (typeof _template === 'string') {
+			compiled = renderer.compile(_template);
+		}
+
+		// else return null
+		if (!compiled) {
+			return null;
+		}
+
+		return function(data) {
+			return renderer.render(compiled, data);
+		};
+	};
+
+	// event handling
+	// events can be namespaced (change.myWidget), and several can be given separated by spaces.
+	// handlers get the event data with the triggering object as this, handlers of `all` get the event name first.
+	// the same callback is only added once per event and namespace
+
+	/**
+	 * @param {String} events event names, optionally namespaced
+	 * @param {Function} callback
+	 * @return {Object} this for chaining
+	 */
+	View.prototype.on = History.prototype.on = Model.prototype.on = Collection.prototype.on = function(events, callback) {
+		return addHandlers(this, events, callback, {});
+	};
+
+	/**
+	 * like on(), but the handler is removed after it has run once
+	 */
+	View.prototype.once = History.prototype.once = Model.prototype.once = Collection.prototype.once = function(events, callback) {
+		return addHandlers(this, events, callback, { once: true });
+	};
+
+	/**
+	 * remove handlers. without arguments all handlers are removed, with just a namespace (.myWidget) all handlers
+	 * in it, and without a callback all handlers of the event. the base handlers (onChange etc.) and the ones the
+	 * library uses itself are only removed if the callback is given
+	 *
+	 * @param {String} events event names or namespaces, optional
+	 * @param {Function} callback optional
+	 * @return {Object} this for chaining
+	 */
+	View.prototype.off = History.prototype.off = Model.prototype.off = Collection.prototype.off = function(events, callback) {
+		return removeHandlers(this, events, callback, null);
+	};
+
+	View.prototype.trigger = History.prototype.trigger = Model.prototype.trigger = function(eventName, opt) {
+		fireHandlers(this, eventName, [opt]);
+
+		if (eventName !== 'all') {
+			fireHandlers(this, 'all', [eventName, opt]);
+		}
+
+		return this;
+	};
+
+	// collections hold back some events during batch()
+	Collection.prototype.trigger = function(eventName, opt) {
+		if (this._batch && this._holdEvent(eventName, opt)) {
+			return this;
+		}
+
+		return Model.prototype.trigger.call(this, eventName, opt);
+	};
+
+	/**
+	 * listen to events of another object, with this object as the this of the callback.
+	 * stopListening() drops them all at once
+	 *
+	 * @param {Object} target model, collection, view or history
+	 * @param {String} events event names, optionally namespaced
+	 * @param {Function} callback
+	 * @return {Object} this for chaining
+	 */
+	View.prototype.listenTo = History.prototype.listenTo = Model.prototype.listenTo = Collection.prototype.listenTo = function(target, events, callback) {
+		if ($.inArray(target, this._listeningTo) === -1) {
+			this._listeningTo.push(target);
+		}
+
+		addHandlers(target, events, callback, { listener: this });
+
+		return this;
+	};
+
+	/**
+	 * like listenTo(), but the handler is removed after it has run once
+	 */
+	View.prototype.listenToOnce = History.prototype.listenToOnce = Model.prototype.listenToOnce = Collection.prototype.listenToOnce = function(target, events, callback) {
+		if ($.inArray(target, this._listeningTo) === -1) {
+			this._listeningTo.push(target);
+		}
+
+		addHandlers(target, events, callback, { listener: this, once: true });
+
+		return this;
+	};
+
+	/**
+	 * stop listening to the events of other objects, all of them or a target, its events or a callback
+	 *
+	 * @param {Object} target optional
+	 * @param {String} events optional
+	 * @param {Function} callback optional
+	 * @return {Object} this for chaining
+	 */
+	View.prototype.stopListening = History.prototype.stopListening = Model.prototype.stopListening = Collection.prototype.stopListening = function(target, events, callback) {
+		var listener = this;
+
+		this._listeningTo = this._listeningTo.filter(function(other) {
+			if (target && other !== target) {
+				return true;
+			}
+
+			removeHandlers(other, events, callback, listener);
+
+			// keep following the target if some of its handlers are left
+			return Object.keys(other._events).some(function(eventName) {
+				return other._events[eventName].some(function(handler) {
+					return handler.listener === listener;
+				});
+			});
+		});
+
+		return this;
+	};
+
+	/**
+	 * add a handler the library depends on, it isn't removed by off() without a callback
+	 */
+	View.prototype._on = History.prototype._on = Model.prototype._on = Collection.prototype._on = function(events, callback) {
+		return addHandlers(this, events, callback, { internal: true });
+	};
+
+	// Helpers
+
+	// helpers and partials shared by the renderers
+	var templateHelpers = {},
+		templatePartials = {};
+
+	// renderer by name, or a renderer object as is
+	var getRenderer = function(renderer) {
+		var found = typeof renderer === 'string' ? Collection.renderers[renderer] : renderer;
+
+		if (!found) {
+			throw new Error('Unknown renderer ' + renderer + '!');
+		}
+
+		return found;
+	};
+
+	// split a space separated list of event names into name and namespace, .ns alone gives an empty name
+	var parseEvents = function(events) {
+		return $.trim(events || '').split(/\s+/).filter(Boolean).map(function(event) {
+			var dot = event.indexOf('.');
+
+			return {
+				name: dot === -1 ? event : event.slice(0, dot),
+				namespace: dot === -1 ? '' : event.slice(dot + 1)
+			};
+		});
+	};
+
+	// add a handler to each event, options are once, listener and internal
+	var addHandlers = function(target, events, callback, options) {
+		if (typeof callback !== 'function') {
+			throw new Error("Argument must be a function");
+		}
+
+		parseEvents(events).forEach(function(event) {
+			var handlers = target._events[event.name] || (target._events[event.name] = []),
+				exists = handlers.some(function(handler) {
+					return handler.callback === callback && handler.namespace === event.namespace && handler.listener === (options.listener || null);
+				});
+
+			if (!exists) {
+				handlers.push({
+					callback: callback,
+					namespace: event.namespace,
+					once: Boolean(options.once),
+					listener: options.listener || null,
+					internal: Boolean(options.internal)
+				});
+			}
+		});
+
+		return target;
+	};
+
+	// remove the handlers matching the events, callback and listener, all of them optional
+	var removeHandlers = function(target, events, callback, listener) {
+		var parsed = events ? parseEvents(events) : [{ name: '', namespace: '' }];
+
+		parsed.forEach(function(event) {
+			var names = event.name ? [event.name] : Object.keys(target._events);
+
+			names.forEach(function(name) {
+				if (!target._events[name]) {
+					return;
+				}
+
+				target._events[name] = target._events[name].filter(function(handler) {
+					var matches = (!event.namespace || handler.namespace === event.namespace) &&
+						(!callback || handler.callback === callback) &&
+						(!listener || handler.listener === listener) &&
+						(callback || !handler.internal);
+
+					// a handler removed while the event fires isn't called anymore
+					if (matches) {
+						handler.removed = true;
+					}
+
+					return !matches;
+				});
+			});
+		});
+
+		return target;
+	};
+
+	// call the handlers of an event, with the listener or the target as this
+	var fireHandlers = function(target, eventName, args) {
+		if (!target._events[eventName]) {
+			return;
+		}
+
+		target._events[eventName].slice(0).forEach(function(handler) {
+			if (handler.removed) {
+				return;
+			}
+
+			// only this handler, the same callback can be bound again without once or in another namespace
+			if (handler.once) {
+				handler.removed = true;
+				target._events[eventName] = target._events[eventName].filter(function(other) {
+					return other !== handler;
+				});
+			}
+
+			handler.callback.apply(handler.listener || target, args);
+		});
+	};
+
+	// value of a bound input. a single checkbox gives true or false, a group of checkboxes the checked values,
+	// radios the checked value or null, and a multiple select an array
+	var readInput = function($inputs) {
+		var el = $inputs[0];
+
+		if (!el) {
+			return undefined;
+		}
+
+		if (el.type === 'checkbox') {
+			return $inputs.length > 1 ? $inputs.filter(':checked').map(function() {
+				return this.value;
+			}).get() : el.checked;
+		}
+
+		if (el.type === 'radio') {
+			return $inputs.filter(':checked').val() || null;
+		}
+
+		return $inputs.val();
+	};
+
+	// write a value into bound inputs, the other way around from readInput
+	var writeInput = function($inputs, value) {
+		var el = $inputs[0];
+
+		if (!el) {
+			return;
+		}
+
+		if (el.type === 'checkbox' && $inputs.length === 1) {
+			el.checked = Boolean(value);
+		} else if (el.type === 'checkbox' || el.type === 'radio' || el.multiple) {
+			$inputs.val(($.isArray(value) ? value : (value === null || value === undefined ? [] : [value])).map(String));
+		} else {
+			value = value === null || value === undefined ? '' : String(value);
+
+			// only touch inputs that differ, so the caret doesn't jump
+			if ($inputs.val() !== value) {
+				$inputs.val(value);
+			}
+		}
+	};
+
+	// add data-guid to the first tag of rendered html, html that doesn't start with a tag is wrapped in a div
+	var tagElement = function(html, guid) {
+		var attribute = ' data-guid="' + escapeAttribute(guid) + '"';
+
+		html = $.trim(html);
+
+		if (/^<[a-zA-Z]/.test(html)) {
+			return html.replace(/^<([a-zA-Z][\w:-]*)/, '<$1' + attribute);
+		}
+
+		return '<div' + attribute + '>' + html + '</div>';
+	};
+
+	var escapeAttribute = function(value) {
+		return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+	};
+
+	// turn rendered html into one element, several top level nodes are wrapped in a div
+	var elementFrom = function(html) {
+		var nodes = $.parseHTML($.trim(html)) || [];
+
+		return nodes.length === 1 && nodes[0].nodeType === 1 ? $(nodes[0]) : $('<div/>').append(nodes);
+	};
+
+	// default transport, gets a request object in $.ajax format and returns a promise
+	Collection.transport = function(request) {
+		return $.ajax(request);
+	};
+
+	// template engines, by name. a renderer has compile(source) and render(compiled, data), and can have
+	// registerHelper(name, fn) and registerPartial(name, partial) to get the shared helpers and partials
+	Collection.renderers = {};
+	Collection.defaultRenderer = 'handlebars';
+
+	/**
+	 * add a template engine, the helpers and partials registered so far are passed to it
+	 *
+	 * @param {String} name for the renderer option
+	 * @param {Object} renderer with compile, render, and optionally registerHelper and registerPartial
+	 * @return {Object} PVCollection for chaining
+	 */
+	Collection.registerRenderer = function(name, renderer) {
+		if (!renderer || typeof renderer.compile !== 'function' || typeof renderer.render !== 'function') {
+			throw new Error('Renderer needs compile and render functions!');
+		}
+
+		Collection.renderers[name] = renderer;
+
+		Object.keys(templateHelpers).forEach(function(helper) {
+			if (renderer.registerHelper) {
+				renderer.registerHelper(helper, templateHelpers[helper]);
+			}
+		});
+
+		Object.keys(templatePartials).forEach(function(partial) {
+			if (renderer.registerPartial) {
+				renderer.registerPartial(partial, templatePartials[partial]);
+			}
+		});
+
+		return Collection;
+	};
+
+	/**
+	 * add a helper to every renderer
+	 *
+	 * @param {String} name
+	 * @param {Function} fn
+	 * @return {Object} PVCollection for chaining
+	 */
+	Collection.registerHelper = function(name, fn) {
+		if (typeof fn !== 'function') {
+			throw new Error("Argument must be a function");
+		}
+
+		templateHelpers[name] = fn;
+
+		Object.keys(Collection.renderers).forEach(function(renderer) {
+			if (Collection.renderers[renderer].registerHelper) {
+				Collection.renderers[renderer].registerHelper(name, fn);
+			}
+		});
+
+		return Collection;
+	};
+
+	/**
+	 * add a partial to every renderer
+	 *
+	 * @param {String} name
+	 * @param {String, Function} partial template source, or a compiled template
+	 * @return {Object} PVCollection for chaining
+	 */
+	Collection.registerPartial = function(name, partial) {
+		templatePartials[name] = partial;
+
+		Object.keys(Collection.renderers).forEach(function(renderer) {
+			if (Collection.renderers[renderer].registerPartial) {
+				Collection.renderers[renderer].registerPartial(name, partial);
+			}
+		});
+
+		return Collection;
+	};
+
+	// Handlebars, in its own environment so the helpers and partials don't leak to the global Handlebars.
+	// precompiled templates get the helpers and partials when they're rendered
+	Collection.registerRenderer('handlebars', {
+		env: null,
+		// created on first use, with the helpers and partials registered so far
+		getEnv: function() {
+			var handlebars = Handlebars || window.Handlebars;
+
+			if (!this.env) {
+				if (!handlebars) {
+					throw new Error('Handlebars is not loaded!');
 				}
+
+				this.env = handlebars.create();
+				this.env.registerHelper(templateHelpers);
+				this.env.registerPartial(templatePartials);
+			}
+
+			return this.env;
+		},
+		compile: function(source) {
+			return this.getEnv().compile(source);
+		},
+		render: function(compiled, data) {
+			return compiled(data, {
+				helpers: templateHelpers,
+				partials: (Handlebars || window.Handlebars) ? this.getEnv().partials : templatePartials
 			});
+		},
+		registerHelper: function(name, fn) {
+			if (this.env) {
+				this.env.registerHelper(name, fn);
+			}
+		},
+		registerPartial: function(name, partial) {
+			if (this.env) {
+				this.env.registerPartial(name, partial);
+			}
+		}
+	});
 
-			return result;
+	// Mustache, helpers are passed in the data as lambdas
+	Collection.registerRenderer('mustache', {
+		compile: function(source) {
+			var mustache = Mustache || window.Mustache;
 
-		} else {
-			return this.attributes[key];
+			if (!mustache) {
+				throw new Error('Mustache is not loaded!');
+			}
+
+			mustache.parse(source);
+
+			return source;
+		},
+		render: function(source, data) {
+			return (Mustache || window.Mustache).render(source, $.extend({}, templateHelpers, data), templatePartials);
+		}
+	});
+
+	// lodash or underscore templates, helpers are passed in the data
+	Collection.registerRenderer('lodash', {
+		compile: function(source) {
+			var _ = lodash || window._;
+
+			if (!_ || typeof _.template !== 'function') {
+				throw new Error('lodash is not loaded!');
+			}
+
+			return _.template(source);
+		},
+		render: function(compiled, data) {
+			return compiled($.extend({}, templateHelpers, data));
+		}
+	});
+
+	// plain functions of data, which get the helpers and partials as the second argument
+	Collection.registerRenderer('function', {
+		compile: function() {
+			throw new Error('The function renderer only takes functions!');
+		},
+		render: function(fn, data) {
+			return fn(data, {
+				helpers: templateHelpers,
+				partials: templatePartials
+			});
+		}
+	});
+
+	// named comparators, for the comparator option and setComparator(). add your own to keep them through toJSON()
+	Collection.comparators = {
+		'default': function(a, b) {
+			return a.getId() < b.getId() ? 1 : -1;
+		}
+	};
+
+	// version of the toJSON() format
+	Collection.serializationVersion = 1;
+
+	// coercion for the typed attributes of a model, a function of the value and the declaration.
+	// values that can't be coerced are returned as is, and fail validation. add your own by name
+	Collection.attributeTypes = {
+		string: function(value) {
+			return (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value;
+		},
+		number: function(value) {
+			if (typeof value === 'string' && $.trim(value) !== '' && !isNaN(+value)) {
+				return +value;
+			}
+
+			return typeof value === 'boolean' ? +value : value;
+		},
+		'boolean': function(value) {
+			if (value === 'true' || value === '1' || value === 1) {
+				return true;
+			}
+
+			return (value === 'false' || value === '0' || value === 0 || value === '') ? false : value;
+		},
+		moment: function(value) {
+			var parsed = (typeof value === 'string' || typeof value === 'number' || value instanceof Date) ? moment(value) : value;
+
+			return (moment.isMoment(parsed) && parsed.isValid()) ? parsed : value;
+		},
+		date: function(value) {
+			if (moment.isMoment(value)) {
+				return value.toDate();
+			}
+
+			var parsed = (typeof value === 'string' || typeof value === 'number') ? new Date(value) : value;
+
+			return (parsed instanceof Date && !isNaN(parsed.getTime())) ? parsed : value;
+		},
+		array: function(value) {
+			return $.isArray(value) ? value : [value];
+		},
+		'enum': function(value, declaration) {
+			var values = declaration.values || [];
+
+			if (values.indexOf(value) !== -1) {
+				return value;
+			}
+
+			// "1" matches 1 and the other way around
+			var matches = $.grep(values, function(item) {
+				return String(item) === String(value);
+			});
+
+			return matches.length ? matches[0] : value;
+		}
+	};
+
+	// value converters for the type of a field in the fields mapping of a model. add your own by name
+	Collection.fieldTypes = {
+		moment: {
+			parse: function(value) {
+				return moment(value);
+			},
+			serialize: function(value) {
+				return moment.isMoment(value) ? value.toISOString() : value;
+			}
 		}
 	};
 
 	/**
-	 * set the value of one mor more attributes (or internal values)
-	 * model will be marked dirty, and the changedAttributes will be set to show what changed
+	 * recreate a collection from Collection.toJSON() data. models keep their ids, dirty and new state,
+	 * changedAttributes and timestamps. output of older versions, with just the attributes of each item, works too
 	 *
-	 * @param {String, Object} single key, or an object of key/value pairs
-	 * @param {Object} value, if key is a string
-	 * @param {Bool} internal
-	 * @param {Bool} silent
-	 * @return {Object} model for chaining
+	 * @param {Object, String} data from toJSON(), or the stringified version
+	 * @param {Object} model the model template
+	 * @param {Object} options extend the stored options, for what can't be serialized like functions and templates
+	 * @return {Object} collection
 	 */
-	Model.prototype.set = function(key, value, internal, silent) {
-		this.log(['model set', key, value, internal, silent]);
+	Collection.fromJSON = function(data, model, options) {
+		data = typeof data === 'string' ? JSON.parse(data) : data;
+
+		if (!data) {
+			throw new Error('No data provided for PVCollection.fromJSON!');
+		}
+
+		var collection = new Collection($.extend({
+				name: data.name
+			}, data.options, data.version && data.comparator ? { comparator: data.comparator } : {}, options), model);
+
+		collection._restoreState(data, false);
+
+		// the models were added silently, so draw them into the container
+		collection._patch();
+
+		return collection;
+	};
+
+	// run a request through a transport. resolves with (response, xhr), rejects with a normalized error
+	// transports can return a jqXHR, any other thenable, or a plain value that is used as the response
+	var sync = function(transport, request) {
+		var deferred = $.Deferred(),
+			result;
+
+		try {
+			result = transport(request);
+		} catch (e) {
+			return deferred.reject(syncError(e)).promise();
+		}
+
+		if (result && typeof result.then === 'function') {
+			result.then(function(response, textStatus, xhr) {
+				deferred.resolve(response, xhr || null);
+			}, function(xhr, textStatus, errorThrown) {
+				deferred.reject(syncError(xhr, textStatus, errorThrown));
+			});
+		} else {
+			deferred.resolve(result, null);
+		}
+
+		return deferred.promise();
+	};
+
+	// turn a failed xhr, an Error or a custom transport rejection into { status, message, response }
+	var syncError = function(reason, textStatus, errorThrown) {
+		reason = reason || {};
+
+		return {
+			status: typeof reason.status === 'number' ? reason.status : 0,
+			message: errorThrown || reason.statusText || reason.message || textStatus || 'Unknown error',
+			response: reason.responseJSON || reason.responseText || reason.response || null
+		};
+	};
+
+	// send a model request through the model transport option, its collection's transport or the default one
+	var modelSync = function(model, method, url, payload, options) {
+		var transport = model.options.transport || (model.collection ? model.collection.transport : null) || Collection.transport;
+
+		model.trigger('request', {
+			method: method,
+			url: url,
+			data: payload,
+			options: options
+		});
+
+		return sync(transport, $.extend(true, {
+			url: url,
+			type: method,
+			dataType: 'json',
+			contentType: 'application/json',
+			data: payload ? JSON.stringify(payload) : undefined
+		}, options.request));
+	};
+
+	// trigger the error event, and the load/save event if given, for a failed sync. returns a rejected promise
+	var syncFailed = function(target, eventName, message, error) {
+		error = error || syncError({
+			message: message
+		});
+
+		target.trigger('error', {
+			message: message,
+			data: error
+		});
+
+		if (eventName) {
+			target.trigger(eventName, {
+				status: 'error',
+				error: error,
+				data: {},
+				response: error.response
+			});
+		}
+
+		return $.Deferred().reject(error).promise();
+	};
+
+	// Generate GUIDv4 (random generation)
+	// http://stackoverflow.com/a/105074
+	var guid = (function() {
+		function s4() {
+			return Math.floor((1 + Math.random()) * 0x10000)
+				.toString(16)
+				.substring(1);
+		}
+		return function() {
+			return s4() + s4() + '-' + s4() + '-' + s4() + '-' +
+				s4() + '-' + s4() + s4() + s4();
+		};
+	})();
+
+	// running id, shared by all collections so generated ids don't repeat
+	var uid = (function() {
+		var id = 1,
+			next = function() {
+				return id++;
+			};
+
+		// make sure an id that was generated before, like one restored from toJSON() data, isn't handed out again
+		next.reserve = function(used) {
+			if (typeof used === 'number' && used >= id) {
+				id = Math.floor(used) + 1;
+			}
+		};
+
+		return next;
+	})();
+
+	// options that are plain data, functions and instances like storage adapters are left out
+	var serializeOptions = function(options) {
+		var result = {};
+
+		Object.keys(options || {}).forEach(function(key) {
+			var value = options[key];
+
+			if (value === undefined || typeof value === 'function' || (value && typeof value === 'object' && !$.isPlainObject(value) && !$.isArray(value))) {
+				return;
+			}
+
+			result[key] = JSON.parse(JSON.stringify(value));
+		});
+
+		return result;
+	};
+
+	// typed attributes of a model template, a string is short for { type: 'name' }
+	var normalizeTypes = function(types) {
+		var result = {};
+
+		Object.keys(types || {}).forEach(function(name) {
+			var declaration = (typeof types[name] === 'string' || typeof types[name] === 'function') ? { type: types[name] } : $.extend({}, types[name]);
+
+			if (typeof declaration.type === 'string' && !Collection.attributeTypes[declaration.type]) {
+				throw new Error('Unknown attribute type ' + declaration.type + '!');
+			}
+
+			result[name] = declaration;
+		});
+
+		return result;
+	};
+
+	// defaults of the typed attributes, functions are called for every model so the value isn't shared
+	var typeDefaults = function(types) {
+		var defaults = {};
+
+		Object.keys(types).forEach(function(name) {
+			var value = types[name]['default'];
+
+			if (value !== undefined) {
+				defaults[name] = typeof value === 'function' ? value() : copyValue(value);
+			}
+		});
+
+		return defaults;
+	};
+
+	// keys of attributes a model template doesn't know, the typed ones, the defaults, schema, relations and id are known
+	var unknownKeys = function(template, attributes, idAttribute) {
+		if (!template.unknownAttributes || template.unknownAttributes === 'allow') {
+			return [];
+		}
+
+		var known = $.extend({}, template.types, template.attributes, template.schema, template.relations);
+
+		if (typeof idAttribute === 'string') {
+			known[idAttribute] = true;
+		}
+
+		return Object.keys(attributes).filter(function(key) {
+			return !known.hasOwnProperty(key);
+		});
+	};
+
+	// coerce the typed attributes, and strip the unknown ones if the model template says so
+	var coerceAttributes = function(template, attributes, idAttribute) {
+		var types = normalizeTypes(template.types),
+			result = $.extend({}, attributes);
+
+		Object.keys(types).forEach(function(name) {
+			var declaration = types[name],
+				coerce = typeof declaration.type === 'function' ? declaration.type : Collection.attributeTypes[declaration.type];
+
+			if (coerce && result[name] !== undefined && result[name] !== null) {
+				result[name] = coerce(result[name], declaration);
+			}
+		});
+
+		if (template.unknownAttributes === 'strip') {
+			unknownKeys(template, result, idAttribute).forEach(function(key) {
+				delete result[key];
+			});
+		}
+
+		return result;
+	};
+
+	// attribute types the schema type check knows, values of other types are only checked by their coercion
+	var checkedTypes = ['string', 'number', 'boolean', 'moment', 'date', 'array'];
+
+	// errors of typed attributes that are not of their type after coercion, and of the schema rules
+	var checkAttributes = function(types, schema, attributes) {
+		var rules = {};
+
+		Object.keys(types).forEach(function(name) {
+			var declaration = types[name];
+
+			if (declaration.type === 'enum') {
+				rules[name] = {
+					required: declaration.required,
+					'enum': declaration.values || []
+				};
+			} else if (checkedTypes.indexOf(declaration.type) !== -1) {
+				rules[name] = {
+					required: declaration.required,
+					type: declaration.type
+				};
+			} else if (declaration.required) {
+				rules[name] = {
+					required: true
+				};
+			}
+		});
+
+		return $.extend(validateAttributes(rules, attributes), validateAttributes(schema, attributes));
+	};
+
+	// fields mapping of a model template, a string is short for { from: 'key' }
+	var normalizeFields = function(fields) {
+		var result = {};
+
+		Object.keys(fields || {}).forEach(function(name) {
+			var field = typeof fields[name] === 'string' ? { from: fields[name] } : $.extend({}, fields[name]);
+
+			field.from = field.from || name;
+			result[name] = field;
+		});
+
+		return result;
+	};
+
+	// convert a field value with its own parse or serialize function, or the one of its type
+	var convertField = function(field, direction, value) {
+		var type = typeof field.type === 'string' ? Collection.fieldTypes[field.type] : field.type;
+
+		if (field.type && !type) {
+			throw new Error('Unknown field type ' + field.type + '!');
+		}
+
+		if (value === null || value === undefined) {
+			return value;
+		}
+		if (typeof field[direction] === 'function') {
+			return field[direction](value);
+		}
+
+		return type && type[direction] ? type[direction](value) : value;
+	};
+
+	// raw data to attributes: unwrap the envelope, run the parser, then rename and convert the mapped fields
+	var parseData = function(template, parser, context, raw) {
+		var data = raw;
+
+		if (template.envelope && $.isPlainObject(data) && $.isPlainObject(data[template.envelope])) {
+			data = data[template.envelope];
+		}
+
+		return parseFields(normalizeFields(template.fields), parser.call(context, data) || {});
+	};
+
+	// rename and convert the mapped fields of data to attributes, the reverse of serializeFields
+	var parseFields = function(fields, data) {
+		var attributes = $.extend({}, data);
+
+		Object.keys(fields).forEach(function(name) {
+			var field = fields[name];
+
+			if (!data.hasOwnProperty(field.from)) {
+				return;
+			}
+
+			delete attributes[field.from];
+			attributes[name] = convertField(field, 'parse', data[field.from]);
+		});
+
+		return attributes;
+	};
+
+	// attributes to the wire format, the mapped fields get their server keys and converted values
+	var serializeFields = function(fields, json) {
+		var result = $.extend({}, json);
+
+		Object.keys(fields).forEach(function(name) {
+			if (!json.hasOwnProperty(name)) {
+				return;
+			}
+
+			delete result[name];
+			result[fields[name].from] = convertField(fields[name], 'serialize', json[name]);
+		});
+
+		return result;
+	};
+
+	// model state for Collection.toJSON(), attributes without computed values
+	var serializeModel = function(model) {
+		var attributes = model.toJSON();
+
+		Object.keys(model.computed).forEach(function(name) {
+			delete attributes[name];
+		});
+
+		return {
+			id: model.getId(),
+			guid: model.guid,
+			attributes: attributes,
+			dirty: Boolean(model._dirty),
+			isNew: Boolean(model._isNew),
+			changedAttributes: $.extend(true, {}, model.changedAttributes),
+			created: model.created.format(),
+			modified: model.modified.format()
+		};
+	};
+
+	// dirty and new state, changedAttributes and timestamps of a restored model, from serializeModel() data
+	var restoreModelState = function(model, item) {
+		model._dirty = Boolean(item.dirty);
+		model._isNew = Boolean(item.isNew);
+		model.changedAttributes = $.extend(true, {}, item.changedAttributes);
+		model.created = moment(item.created);
+		model.modified = moment(item.modified);
+	};
+
+	// unique key from attributes, idAttribute is either a field name or a function deriving the key
+	var idOf = function(idAttribute, attributes) {
+		if (!attributes) {
+			return undefined;
+		}
+
+		return typeof idAttribute === 'function' ? idAttribute(attributes) : attributes[idAttribute];
+	};
+
+	// computed attributes are either a function, or an object of get, deps (attribute names) and toJSON.
+	// functions and definitions without deps are recalculated on every change
+	var normalizeComputed = function(computed) {
+		var result = {};
+
+		Object.keys(computed || {}).forEach(function(name) {
+			var definition = computed[name];
+
+			if (typeof definition === 'function') {
+				definition = {
+					get: definition
+				};
+			}
+
+			result[name] = {
+				get: definition.get,
+				deps: definition.deps || null,
+				toJSON: definition.toJSON || false
+			};
+		});
+
+		return result;
+	};
+
+	// change handler of related models and collections, and of the models in related collections
+	var relatedChanged = function(evt) {
+		var owner = this._parent || (this.collection ? this.collection._parent : null);
+
+		if (owner) {
+			owner.model._relatedChanged(owner.name, evt);
+		}
+	};
+
+	// drop the id generated for a new model from its serialized data, the key is the one after the fields mapping
+	var omitGeneratedId = function(model, json) {
+		if (typeof model.idAttribute === 'string') {
+			delete json[model.fields[model.idAttribute] ? model.fields[model.idAttribute].from : model.idAttribute];
+		}
+
+		return json;
+	};
+
+	// data of a related model, without the generated id of a new one
+	var serializeRelatedModel = function(model) {
+		var json = model.toJSON();
+
+		return model.isNew() ? omitGeneratedId(model, json) : json;
+	};
+
+	// data of a related model or collection
+	var serializeRelated = function(related) {
+		if (related instanceof Model) {
+			return serializeRelatedModel(related);
+		}
+		if (related instanceof Collection) {
+			return related.map(serializeRelatedModel);
+		}
+
+		return related === undefined ? null : related;
+	};
+
+	// value at a dotted path of a model, going through nested objects and related models
+	var getPath = function(model, path) {
+		var parts = String(path).split('.'),
+			current = model;
+
+		for (var i = 0; i < parts.length; i++) {
+			if (current instanceof Model) {
+				current = current.get(parts[i]);
+			} else if (current !== null && typeof current === 'object') {
+				current = current[parts[i]];
+			} else {
+				return undefined;
+			}
+		}
+
+		return current;
+	};
+
+	// function(model) returning the value for a path, or the passed function
+	var valueGetter = function(path) {
+		if (typeof path === 'function') {
+			return path;
+		}
+
+		return function(model) {
+			return getPath(model, path);
+		};
+	};
+
+	// numbers of an array of values, moments and dates become timestamps, the rest is skipped
+	var numericValues = function(values) {
+		return values.map(function(value) {
+			return (value === null || value === undefined || value === '') ? NaN : +value;
+		}).filter(function(value) {
+			return !isNaN(value);
+		});
+	};
+
+	// key for grouping a value, moments and dates are grouped by their ISO string
+	var groupKey = function(value) {
+		if (moment.isMoment(value) || value instanceof Date) {
+			return moment(value).toISOString();
+		}
+		if (value !== null && typeof value === 'object') {
+			return JSON.stringify(value);
+		}
 
-		if (!arguments.length) {
-			this.trigger('error', {
-				message: 'Model.set requires key/value or data object to be set'
-			});
+		return String(value);
+	};
 
-			return false;
+	// function(model) for where(), from a function, a query object or a key and value
+	var matcher = function(key, value, internal) {
+		if (typeof key === 'function') {
+			return key;
 		}
 
-		var changedAttributes = [],
-			model = this,
-			localProp = null;
+		if ($.isPlainObject(key)) {
+			return function(model) {
+				return matchesQuery(model, key);
+			};
+		}
 
-		// if the key is an object, we shift the arguments, as we don't have a value
-		if (typeof key === "object") {
-			silent = internal;
-			internal = value;
-			value = null;
+		return function(model) {
+			return internal ? model[key] === value : model.attributes[key] === value;
+		};
+	};
 
-			// add the changed attributes into the model for tracking
-			for (var k in key) {
-				if (key.hasOwnProperty(k)) {
-					localProp = internal ? model[k] : model.attributes[k];
+	// does a model match a query object
+	var matchesQuery = function(model, query) {
+		return Object.keys(query).every(function(key) {
+			var condition = query[key];
 
-					if (!isEqual(localProp, key[k])) {
-						model.changedAttributes[k] = key[k];
-					}
-				}
+			if (key === '$and') {
+				return condition.every(function(q) {
+					return matchesQuery(model, q);
+				});
 			}
-
-			// merge attributes
-			if (internal) {
-				model = $.extend(true, {}, model, key);
-			} else {
-				model.attributes = $.extend(true, {}, model.attributes, key);
+			if (key === '$or') {
+				return condition.some(function(q) {
+					return matchesQuery(model, q);
+				});
 			}
-
-		} else {
-			if (internal) {
-				model[key] = value;
-			} else {
-				model.attributes[key] = value;
+			if (key === '$not') {
+				return !matchesQuery(model, condition);
 			}
 
-			model.changedAttributes[key] = value;
-		}
+			return matchesCondition(getPath(model, key), condition);
+		});
+	};
 
-		// check if anything actually changed and change timestamp
-		if (Object.keys(model.changedAttributes).length) {
-			model.modified = moment();
-		}
+	// does a value match a plain value, a regular expression or an object of operators
+	var matchesCondition = function(value, condition) {
+		var keys = $.isPlainObject(condition) ? Object.keys(condition) : [];
 
-		if (!silent) {
-			model.trigger('change', {
-				changed: changedAttributes,
-				timestamp: model.modified
+		if (keys.length && keys.every(function(op) {
+				return op.charAt(0) === '$';
+			})) {
+			return keys.every(function(op) {
+				if (!queryOperators.hasOwnProperty(op)) {
+					throw new Error('Unknown query operator ' + op);
+				}
+
+				return queryOperators[op](value, condition[op]);
 			});
 		}
 
-		// set to dirty
-		model._dirty = true;
-		model.trigger('dirty', {});
+		if (Object.prototype.toString.call(condition) === '[object RegExp]') {
+			return queryOperators.$regex(value, condition);
+		}
 
-		return model;
+		return queryOperators.$eq(value, condition);
 	};
 
-	/**
-	 * render item from template, or if item is clean, just return the already rendered html
-	 *
-	 * @return {String} rendered HTML template of the model
-	 */
-	Model.prototype.render = function(options) {
-		this.log(['model render', options]);
-
-		// if we don't have a template, return json
-		if (!this.template) {
-			return this.toJSON();
+	// compare two values, moments and dates are compared by time. returns -1, 0, 1 or NaN if not comparable,
+	// like a missing value or one that isn't a valid date. moment() of a missing value would be now
+	var compareValues = function(a, b) {
+		if (a === undefined || a === null || b === undefined || b === null) {
+			return NaN;
 		}
 
-		// if we either don't have it at all, or the model has changed since last render
-		if (!this._hasBeenRendered) {
-			// add the guid of the model in the template for use
-			this.templateRender = this.template($.extend(true, {
-				guid: this.guid
-			}, this.attributes));
-			this._hasBeenRendered = true;
-		}
+		if (moment.isMoment(a) || a instanceof Date || moment.isMoment(b) || b instanceof Date) {
+			a = moment(a);
+			b = moment(b);
 
-		// trigger event
-		this.trigger('render', {
-			options: options
-		});
+			if (!a.isValid() || !b.isValid()) {
+				return NaN;
+			}
 
-		return this.templateRender;
+			a = a.valueOf();
+			b = b.valueOf();
+		}
+
+		return a < b ? -1 : (a > b ? 1 : (a == b ? 0 : NaN));
 	};
 
-	/**
-	 * @return {Object} returns object of all the model data attributes
-	 */
-	Model.prototype.getAttributes = function() {
-		this.log(['model getAttributes']);
+	// equality that understands moments, and arrays that contain the value
+	var valuesEqual = function(value, expected) {
+		if (moment.isMoment(value) || value instanceof Date || moment.isMoment(expected) || expected instanceof Date) {
+			return compareValues(value, expected) === 0;
+		}
+		if ($.isArray(value) && !$.isArray(expected)) {
+			return value.some(function(v) {
+				return valuesEqual(v, expected);
+			});
+		}
 
-		return this.attributes;
+		return isEqual(value, expected);
 	};
 
-	/**
-	 * parser NYI
-	 * @return {Object} object of parsed data - NYI
-	 */
-	Model.prototype.parser = function(input) {
-		this.log(['model parser'], input);
+	var queryOperators = {
+		$eq: valuesEqual,
+		$ne: function(value, expected) {
+			return !valuesEqual(value, expected);
+		},
+		$gt: function(value, expected) {
+			return compareValues(value, expected) > 0;
+		},
+		$gte: function(value, expected) {
+			return compareValues(value, expected) >= 0;
+		},
+		$lt: function(value, expected) {
+			return compareValues(value, expected) < 0;
+		},
+		$lte: function(value, expected) {
+			return compareValues(value, expected) <= 0;
+		},
+		// value (or any value of an array) is in the list
+		$in: function(value, list) {
+			return list.some(function(expected) {
+				return valuesEqual(value, expected);
+			});
+		},
+		$nin: function(value, list) {
+			return !queryOperators.$in(value, list);
+		},
+		// array value contains all of the list
+		$all: function(value, list) {
+			return $.isArray(value) && list.every(function(expected) {
+				return valuesEqual(value, expected);
+			});
+		},
+		$regex: function(value, regex) {
+			regex = Object.prototype.toString.call(regex) === '[object RegExp]' ? regex : new RegExp(regex);
+
+			return value !== undefined && value !== null && regex.test(String(value));
+		},
+		$exists: function(value, exists) {
+			return (value !== undefined) === Boolean(exists);
+		},
+		$size: function(value, size) {
+			return $.isArray(value) && value.length === size;
+		},
+		$not: function(value, condition) {
+			return !matchesCondition(value, condition);
+		}
+	};
 
-		var output = {};
+	// marks an attribute that did not exist, for undo
+	var absent = {};
 
-		return output;
-	};
+	// copy objects and arrays so later changes to them don't leak into recorded values
+	var copyValue = function(value) {
+		if ($.isArray(value)) {
+			return $.extend(true, [], value);
+		}
+		if ($.isPlainObject(value)) {
+			return $.extend(true, {}, value);
+		}
 
-	/**
-	 * @return {String} json string of the model
-	 */
-	Model.prototype.toJSON = function() {
-		return $.extend(true, {}, this.attributes);
+		return value;
 	};
 
-	/**
-	 * Base onChange event handler
-	 */
-	Model.prototype.onChange = function(evt) {
-		this.log(['model change event handler', evt]);
-	};
+	// put recorded attribute values back on a model, through set so events fire
+	// object values are replaced rather than deep merged, and absent attributes are deleted
+	var restoreAttributes = function(model, values) {
+		var attributes = {};
 
-	/**
-	 * Base onRender event handler
-	 */
-	Model.prototype.onRender = function(evt) {
-		this.log(['model render event handler', evt]);
+		Object.keys(values).forEach(function(key) {
+			if (values[key] === absent || typeof model.attributes[key] === 'object') {
+				delete model.attributes[key];
+			}
+			if (values[key] !== absent) {
+				attributes[key] = copyValue(values[key]);
+			}
+		});
+
+		model.set(attributes);
 	};
 
-	/**
-	 * Base onDirty event handler, model has become dirty
-	 */
-	Model.prototype.onDirty = function(evt) {
-		this.log(['model dirty event handler', evt]);
+	// type name for schema checks, separates arrays, dates and moments from objects
+	var typeOf = function(value) {
+		if ($.isArray(value)) {
+			return 'array';
+		}
+		if (moment.isMoment(value)) {
+			return 'moment';
+		}
+		if (value instanceof Date) {
+			return 'date';
+		}
 
-		this._hasBeenRendered = false;
+		return typeof value;
 	};
 
-	/**
-	 * Base onError event handler
-	 */
-	Model.prototype.onError = function(evt) {
-		this.log(['model error event handler', evt]);
-	};
+	// check attributes against schema rules, returns an object of field: message for each invalid field
+	// a rule is either a validator function, or an object of required, type, min, max, pattern, enum,
+	// validator and message. validators return true when valid, and false or a message when not
+	var validateAttributes = function(schema, attributes) {
+		var errors = {};
 
-	// -- end Model Class
+		if (!schema) {
+			return errors;
+		}
 
+		Object.keys(schema).forEach(function(field) {
+			var message = validateField(field, schema[field], attributes[field], attributes);
 
-	// Methods for both
+			if (message) {
+				errors[field] = message;
+			}
+		});
 
-	// logger
-	Model.prototype.log = Collection.prototype.log = function(message, type) {
-		type = type || 'log';
+		return errors;
+	};
 
-		if (this.debug) {
-			if (typeof message === 'string') {
-				console[type](message);
-			} else {
-				console[type](Array.prototype.slice.apply(message));
-			}
+	// validate a single value, returns the error message or null
+	var validateField = function(field, rule, value, attributes) {
+		if (typeof rule === 'function') {
+			rule = {
+				validator: rule
+			};
 		}
-	};
 
-	// check what the template is and deal with it
-	Model.prototype.initTemplate = Collection.prototype.initTemplate = function(_template) {
-		// if it's a function, then we've already compiled the template
-		if (typeof _template == 'function') {
-			return _template;
+		var type = typeOf(value),
+			size = (type === 'string' || type === 'array') ? value.length : +value,
+			result;
+
+		if (value === undefined || value === null || value === '') {
+			return rule.required ? rule.message || field + ' is required' : null;
 		}
 
-		// if it's a string, compile it with Handlebars
-		if (typeof _template === 'string') {
-			return Handlebars.compile(_template);
+		if (rule.type && type !== rule.type) {
+			return rule.message || field + ' must be of type ' + rule.type;
 		}
 
-		// else return null
-		return null;
-	};
+		if (rule.min !== undefined && size < +rule.min) {
+			return rule.message || field + ' must be at least ' + rule.min;
+		}
 
-	// event handling
-	// thanks to http://stackoverflow.com/a/9101404
-	Model.prototype.on = Collection.prototype.on = function(eventName, callback) {
-		if (!this._events[eventName]) {
-			this._events[eventName] = $.Callbacks('unique');
+		if (rule.max !== undefined && size > +rule.max) {
+			return rule.message || field + ' must be at most ' + rule.max;
 		}
-		this._events[eventName].add(callback);
-	};
 
-	Model.prototype.off = Collection.prototype.off = function(eventName, callback) {
-		if (!this._events[eventName]) {
-			return;
-		} else {
-			this._events[eventName].remove(callback);
+		if (rule.pattern && !rule.pattern.test(String(value))) {
+			return rule.message || field + ' does not match the required pattern';
 		}
-	};
 
-	Model.prototype.trigger = Collection.prototype.trigger = function(eventName, opt) {
-		if (this._events[eventName]) {
-			this._events[eventName].fireWith(this, [opt]);
+		if (rule['enum'] && rule['enum'].indexOf(value) === -1) {
+			return rule.message || field + ' must be one of ' + rule['enum'].join(', ');
 		}
-	};
 
-	// Helpers
+		if (rule.validator) {
+			result = rule.validator(value, attributes);
 
-	// Generate GUIDv4 (random generation)
-	// http://stackoverflow.com/a/105074
-	var guid = (function() {
-		function s4() {
-			return Math.floor((1 + Math.random()) * 0x10000)
-				.toString(16)
-				.substring(1);
+			if (typeof result === 'string') {
+				return result;
+			}
+			if (result === false) {
+				return rule.message || field + ' is invalid';
+			}
 		}
-		return function() {
-			return s4() + s4() + '-' + s4() + '-' + s4() + '-' +
-				s4() + '-' + s4() + s4() + s4();
-		};
-	})();
 
-	// running id
-	var uid;
-	var initIncrementId = function() {
-		var id = 0;
-		uid = function() {
-			return id++;
-		};
+		return null;
 	};
 
 	// deep object comparison based on underscore
@@ -1258,12 +5606,257 @@
 		return true;
 	};
 
-	// store existing item
-	if (window.PVCollection) {
-		Collection.oldObject = window.PVCollection;
-	}
+	// Shims
+	// used when jQuery or moment aren't available, like in Node. they cover what models and collections need,
+	// the DOM features (attachTo, bind, model elements) and the default $.ajax transport still need jQuery
+
+	var shimQuery = function() {
+		throw new Error('PVCollection needs jQuery for DOM features!');
+	};
+
+	shimQuery.isArray = Array.isArray;
+
+	shimQuery.isFunction = function(value) {
+		return typeof value === 'function';
+	};
+
+	shimQuery.isPlainObject = function(value) {
+		var proto;
+
+		if (!value || Object.prototype.toString.call(value) !== '[object Object]') {
+			return false;
+		}
+
+		proto = Object.getPrototypeOf(value);
+
+		return proto === null || proto === Object.prototype;
+	};
+
+	shimQuery.trim = function(text) {
+		return text === null || text === undefined ? '' : String(text).trim();
+	};
+
+	shimQuery.grep = function(items, fn, invert) {
+		return Array.prototype.filter.call(items, function(item, idx) {
+			return Boolean(fn(item, idx)) !== Boolean(invert);
+		});
+	};
+
+	shimQuery.inArray = function(value, items, from) {
+		return items ? Array.prototype.indexOf.call(items, value, from) : -1;
+	};
+
+	shimQuery.parseHTML = shimQuery;
+
+	shimQuery.ajax = function() {
+		throw new Error('PVCollection needs jQuery for $.ajax, pass in a transport instead!');
+	};
+
+	// jQuery style extend, deep copies plain objects and arrays, and skips undefined values
+	shimQuery.extend = function() {
+		var args = Array.prototype.slice.call(arguments),
+			deep = typeof args[0] === 'boolean' ? args.shift() : false,
+			target = args.shift();
+
+		if (!target || (typeof target !== 'object' && typeof target !== 'function')) {
+			target = {};
+		}
+
+		args.forEach(function(source) {
+			if (source === null || source === undefined) {
+				return;
+			}
+
+			/* jshint forin:false */
+			for (var key in source) {
+				var value = source[key],
+					current = target[key],
+					isArray = shimQuery.isArray(value);
+
+				if (value === target) {
+					continue;
+				}
+
+				if (deep && value && (isArray || shimQuery.isPlainObject(value))) {
+					if (isArray) {
+						current = shimQuery.isArray(current) ? current : [];
+					} else {
+						current = shimQuery.isPlainObject(current) ? current : {};
+					}
+
+					target[key] = shimQuery.extend(true, current, value);
+				} else if (value !== undefined) {
+					target[key] = value;
+				}
+			}
+		});
+
+		return target;
+	};
+
+	// jQuery style Deferred with done, fail, always, then, state and promise. callbacks run synchronously
+	shimQuery.Deferred = function() {
+		var state = 'pending',
+			values = [],
+			callbacks = {
+				resolved: [],
+				rejected: []
+			},
+			promise,
+			deferred;
+
+		var settle = function(next, args) {
+			if (state === 'pending') {
+				state = next;
+				values = args;
+
+				callbacks[next].forEach(function(fn) {
+					fn.apply(null, values);
+				});
+			}
+
+			return deferred;
+		};
+
+		var listen = function(on, fn) {
+			if (typeof fn !== 'function') {
+				return;
+			}
+
+			if (state === on) {
+				fn.apply(null, values);
+			} else if (state === 'pending') {
+				callbacks[on].push(fn);
+			}
+		};
+
+		promise = {
+			state: function() {
+				return state;
+			},
+			done: function(fn) {
+				listen('resolved', fn);
+				return this;
+			},
+			fail: function(fn) {
+				listen('rejected', fn);
+				return this;
+			},
+			always: function(fn) {
+				listen('resolved', fn);
+				listen('rejected', fn);
+				return this;
+			},
+			// handlers can return a value or a thenable, which the returned promise follows
+			then: function(onDone, onFail) {
+				var next = shimQuery.Deferred(),
+					link = function(handler, pass) {
+						return function() {
+							var result;
+
+							if (typeof handler !== 'function') {
+								pass.apply(next, arguments);
+								return;
+							}
+
+							result = handler.apply(null, arguments);
+
+							if (result && typeof result.then === 'function') {
+								result.then(function() {
+									next.resolve.apply(next, arguments);
+								}, function() {
+									next.reject.apply(next, arguments);
+								});
+							} else {
+								next.resolve(result);
+							}
+						};
+					};
+
+				listen('resolved', link(onDone, next.resolve));
+				listen('rejected', link(onFail, next.reject));
+
+				return next.promise();
+			},
+			promise: function() {
+				return promise;
+			}
+		};
+
+		deferred = shimQuery.extend({
+			resolve: function() {
+				return settle('resolved', Array.prototype.slice.call(arguments));
+			},
+			reject: function() {
+				return settle('rejected', Array.prototype.slice.call(arguments));
+			}
+		}, promise);
+
+		return deferred;
+	};
+
+	// the parts of moment that are used here: moment(value), format() in the default format, toISOString(),
+	// valueOf(), toDate() and moment.isMoment()
+	var SimpleMoment = function(date) {
+		this._d = date;
+		this._isAMomentObject = true;
+	};
+
+	SimpleMoment.prototype.valueOf = function() {
+		return this._d.getTime();
+	};
+
+	SimpleMoment.prototype.toDate = function() {
+		return new Date(this._d.getTime());
+	};
+
+	SimpleMoment.prototype.isValid = function() {
+		return !isNaN(this._d.getTime());
+	};
+
+	SimpleMoment.prototype.toISOString = function() {
+		return this._d.toISOString();
+	};
+
+	SimpleMoment.prototype.toJSON = SimpleMoment.prototype.toISOString;
+
+	// YYYY-MM-DDTHH:mm:ssZ in local time, like moment's default
+	SimpleMoment.prototype.format = function() {
+		var date = this._d,
+			offset = -date.getTimezoneOffset(),
+			pad = function(number) {
+				return (number < 10 ? '0' : '') + number;
+			};
+
+		return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+			'T' + pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) +
+			(offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + ':' + pad(Math.abs(offset) % 60);
+	};
+
+	var shimMoment = function(value) {
+		if (value === undefined) {
+			return new SimpleMoment(new Date());
+		}
+
+		return new SimpleMoment(new Date(shimMoment.isMoment(value) ? value.valueOf() : value));
+	};
+
+	shimMoment.isMoment = function(value) {
+		return Boolean(value && value._isAMomentObject);
+	};
+
+	$ = $ || shimQuery;
+	moment = moment || shimMoment;
+
+	// expose classes
+	Collection.History = History;
+	Collection.View = View;
+	Collection.MemoryStorage = MemoryStorage;
+	Collection.LocalStorage = LocalStorage;
+	Collection.IndexedDBStorage = IndexedDBStorage;
 
-	// expose global
-	window.PVCollection = Collection;
+	// build another PVCollection with other dependencies, { jQuery, moment, Handlebars, Mustache, lodash }
+	Collection.create = create;
 
-})(jQuery, Handlebars, moment, window);
+	return Collection;
+});
@@ -0,0 +1,59 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Aggregation', function() {
+	var collection;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'a' }, {});
+		collection.add([
+			{ id: 1, price: 10, type: 'x', author: { name: 'Ann' } },
+			{ id: 2, price: 20, type: 'y', author: { name: 'Bob' } },
+			{ id: 3, price: 'n/a', type: 'x', author: { name: 'Ann' } }
+		]);
+	});
+
+	it('sums, averages and finds extremes of numeric values', function() {
+		expect(collection.sum('price')).to.equal(30);
+		expect(collection.avg('price')).to.equal(15);
+		expect(collection.min('type')).to.equal('x');
+		expect(collection.max('type')).to.equal('y');
+	});
+
+	it('plucks and finds unique values by path', function() {
+		expect(collection.uniq('author.name')).to.deep.equal(['Ann', 'Bob']);
+	});
+
+	it('groups and counts', function() {
+		var groups = collection.groupBy('type');
+
+		expect(groups.x.length).to.equal(2);
+		expect(collection.countBy('type')).to.deep.equal({ y: 1, x: 2 });
+	});
+
+	it('makes live groups', function() {
+		var groups = collection.groupBy('type', { live: true });
+
+		collection.add({ id: 4, type: 'x' });
+
+		expect(groups.x.length).to.equal(3);
+	});
+
+	it('adds live groups for new keys', function() {
+		var groups = collection.groupBy('type', { live: true });
+
+		collection.add({ id: 4, type: 'z' });
+		collection.getById(1).set('type', 'w');
+
+		expect(Object.keys(groups).sort()).to.deep.equal(['w', 'x', 'y', 'z']);
+		expect(groups.z.length).to.equal(1);
+		expect(groups.w.map(function(model) {
+			return model.getId();
+		})).to.deep.equal([1]);
+
+		groups.destroy();
+		collection.add({ id: 5, type: 'v' });
+
+		expect(groups).to.not.have.property('v');
+	});
+});
@@ -0,0 +1,67 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Collection.batch', function() {
+	var collection, changes, dirty;
+
+	beforeEach(function() {
+		changes = [];
+		dirty = 0;
+		collection = new PVCollection({ name: 'b', history: true }, {});
+		collection.add([{ id: 1, t: 'a' }, { id: 2 }]);
+		collection.on('change', function(evt) {
+			changes.push(evt);
+		});
+		collection.on('dirty', function() {
+			dirty++;
+		});
+	});
+
+	it('triggers one change with the merged lists', function() {
+		collection.batch(function() {
+			this.add({ id: 3 });
+			this.add({ id: 4 });
+			this.remove(4);
+			this.remove(2);
+			this.getById(1).set('t', 'b');
+		});
+
+		expect(changes.length).to.equal(1);
+		expect(changes[0].added.map(function(model) {
+			return model.getId();
+		})).to.deep.equal([3]);
+		expect(changes[0].removed.length).to.equal(1);
+		expect(changes[0].changed).to.deep.equal([collection.getById(1)]);
+		expect(dirty).to.equal(1);
+	});
+
+	it('is one undo step', function() {
+		collection.batch(function() {
+			this.add({ id: 3 });
+			this.remove(1);
+		});
+
+		collection.history.undo();
+
+		expect(collection.length).to.equal(2);
+		expect(collection.getById(1)).to.be.ok;
+	});
+
+	it('flushes the events when the function throws', function() {
+		expect(function() {
+			collection.batch(function() {
+				this.add({ id: 3 });
+				throw new Error('oops');
+			});
+		}).to.throw('oops');
+
+		expect(collection._batch).to.equal(null);
+		expect(changes.length).to.equal(1);
+	});
+
+	it('throws without a function', function() {
+		expect(function() {
+			collection.batch();
+		}).to.throw('Argument must be a function');
+	});
+});
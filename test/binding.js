@@ -0,0 +1,107 @@
+var expect = require('chai').expect,
+	JSDOM = require('jsdom').JSDOM,
+	PVCollection = require('..');
+
+describe('Form binding', function() {
+	var $, collection, model;
+
+	beforeEach(function() {
+		var window = new JSDOM('<!DOCTYPE html><form id="form">' +
+			'<input name="title">' +
+			'<input name="done" type="checkbox">' +
+			'<input name="size" type="radio" value="s"><input name="size" type="radio" value="m">' +
+			'<select name="tags" multiple><option>x</option><option>y</option></select>' +
+			'<input id="price">' +
+			'</form>').window;
+
+		$ = require('jquery')(window);
+
+		collection = new (PVCollection.create({ jQuery: $ }))({ name: 'b' }, {
+			schema: {
+				title: { required: true, max: 5 }
+			}
+		});
+		collection.add({ id: 1, title: 'a', done: true, size: 'm', tags: ['y'], price: 1250 });
+		model = collection.getById(1);
+	});
+
+	it('writes the attributes into the inputs', function() {
+		model.bind('#form');
+
+		expect($('[name="title"]').val()).to.equal('a');
+		expect($('[name="done"]').prop('checked')).to.equal(true);
+		expect($('[name="size"]:checked').val()).to.equal('m');
+		expect($('[name="tags"]').val()).to.deep.equal(['y']);
+
+		model.set('title', 'b');
+
+		expect($('[name="title"]').val()).to.equal('b');
+	});
+
+	it('sets the attributes from the inputs', function() {
+		model.bind('#form');
+
+		$('[name="title"]').val('typed').trigger('input');
+		$('[name="done"]').prop('checked', false).trigger('change');
+		$('[name="size"][value="s"]').prop('checked', true).trigger('change');
+
+		expect(model.get('title')).to.equal('typed');
+		expect(model.get('done')).to.equal(false);
+		expect(model.get('size')).to.equal('s');
+	});
+
+	it('formats and parses the values of a mapping', function() {
+		model.bind('#form', {
+			mapping: {
+				price: {
+					selector: '#price',
+					format: function(value) {
+						return (value / 100).toFixed(2);
+					},
+					parse: function(value) {
+						return Math.round(parseFloat(value) * 100);
+					}
+				}
+			}
+		});
+
+		expect($('#price').val()).to.equal('12.50');
+
+		$('#price').val('3.5').trigger('change');
+
+		expect(model.get('price')).to.equal(350);
+		expect($('[name="title"]').val()).to.equal('');
+	});
+
+	it('marks invalid inputs', function() {
+		var $title = $('[name="title"]');
+
+		model.bind('#form', { invalidClass: 'bad' });
+
+		expect($title.attr('aria-invalid')).to.equal('false');
+
+		$title.val('far too long').trigger('input');
+
+		expect($title.hasClass('bad')).to.equal(true);
+		expect($title.attr('aria-invalid')).to.equal('true');
+		expect($title[0].validationMessage).to.not.equal('');
+
+		$title.val('ok').trigger('input');
+
+		expect($title.hasClass('bad')).to.equal(false);
+		expect($title.attr('aria-invalid')).to.equal('false');
+	});
+
+	it('stops following the form and the model when unbound', function() {
+		model.bind('#form');
+		model.unbind('#form');
+
+		$('[name="title"]').val('typed').trigger('input');
+
+		expect(model.get('title')).to.equal('a');
+
+		model.set('title', 'b');
+
+		expect($('[name="title"]').val()).to.equal('typed');
+	});
+});
@@ -0,0 +1,69 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Change events', function() {
+	var collection, model;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'c' }, {});
+		collection.add({ id: 1, title: 'a', body: 'x' });
+		model = collection.getById(1);
+	});
+
+	it('triggers change:attr with the previous and current value', function() {
+		var evt = null;
+
+		model.on('change:title', function(e) {
+			evt = e;
+		});
+
+		model.set('title', 'b');
+
+		expect(evt.previous).to.equal('a');
+		expect(evt.current).to.equal('b');
+	});
+
+	it('lists the changes in the change event', function() {
+		var changed = null;
+
+		model.on('change', function(e) {
+			changed = e.changed;
+		});
+
+		model.set({ title: 'b', body: 'x' });
+
+		expect(changed).to.deep.equal([{ attr: 'title', previous: 'a', current: 'b' }]);
+	});
+
+	it('keeps the previous attributes', function() {
+		model.set('title', 'b');
+
+		expect(model.previous('title')).to.equal('a');
+		expect(model.previousAttributes()).to.deep.equal({ id: 1, title: 'a', body: 'x' });
+	});
+
+	it('relays model changes to the collection', function() {
+		var relayed = null;
+
+		collection.on('model:change:title', function(e) {
+			relayed = e;
+		});
+
+		model.set('title', 'b');
+
+		expect(relayed.model).to.equal(model);
+		expect(relayed.current).to.equal('b');
+	});
+
+	it('does not trigger change for silent sets', function() {
+		var count = 0;
+
+		model.on('change', function() {
+			count++;
+		});
+
+		model.set('title', 'b', false, true);
+
+		expect(count).to.equal(0);
+	});
+});
@@ -0,0 +1,59 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Computed attributes', function() {
+	var collection, calls;
+
+	beforeEach(function() {
+		calls = 0;
+		collection = new PVCollection({ name: 'c' }, {
+			computed: {
+				fullName: {
+					deps: ['first', 'last'],
+					get: function(attributes) {
+						calls++;
+						return attributes.first + ' ' + attributes.last;
+					}
+				},
+				shout: {
+					deps: ['fullName'],
+					get: function() {
+						return this.get('fullName').toUpperCase();
+					},
+					toJSON: true
+				}
+			}
+		});
+
+		collection.add({ id: 1, first: 'a', last: 'b', other: 1 });
+	});
+
+	it('computes the value from the attributes', function() {
+		expect(collection.getById(1).get('fullName')).to.equal('a b');
+		expect(collection.getById(1).get('shout')).to.equal('A B');
+	});
+
+	it('recalculates only when a dependency changes', function() {
+		var model = collection.getById(1),
+			before = calls,
+			changes = [];
+
+		model.on('change:shout', function(evt) {
+			changes.push(evt.current);
+		});
+
+		model.set('other', 2);
+		expect(calls).to.equal(before);
+
+		model.set('first', 'c');
+		expect(model.get('shout')).to.equal('C B');
+		expect(changes).to.deep.equal(['C B']);
+	});
+
+	it('includes computed values in toJSON only if asked', function() {
+		var json = collection.getById(1).toJSON();
+
+		expect(json.shout).to.equal('A B');
+		expect(json.hasOwnProperty('fullName')).to.equal(false);
+	});
+});
@@ -0,0 +1,116 @@
+var expect = require('chai').expect,
+	JSDOM = require('jsdom').JSDOM,
+	PVCollection = require('..');
+
+describe('DOM rendering', function() {
+	var window, DOMCollection, collection, list;
+
+	var byId = function(a, b) {
+		return a.getId() - b.getId();
+	};
+
+	var texts = function() {
+		return Array.prototype.map.call(list.children, function(el) {
+			return el.textContent;
+		});
+	};
+
+	var elementOf = function(id) {
+		return collection.getById(id).$el[0];
+	};
+
+	beforeEach(function() {
+		window = new JSDOM('<!DOCTYPE html><ul id="list"></ul>').window;
+		DOMCollection = PVCollection.create({ jQuery: require('jquery')(window) });
+		list = window.document.getElementById('list');
+
+		collection = new DOMCollection({ name: 'd' }, {
+			renderer: 'function',
+			template: function(data) {
+				return '<li>' + data.title + '</li>';
+			}
+		});
+		collection.setComparator(byId);
+		collection.add([{ id: 1, title: 'a' }, { id: 2, title: 'b' }, { id: 3, title: 'c' }]);
+	});
+
+	it('renders the element of each model into the container', function() {
+		collection.attachTo('#list');
+
+		expect(texts()).to.deep.equal(['a', 'b', 'c']);
+		expect(list.children[0].getAttribute('data-guid')).to.equal(collection.getById(1).guid);
+	});
+
+	it('keeps the elements of unchanged models', function() {
+		collection.attachTo(list);
+
+		var first = elementOf(1),
+			second = elementOf(2),
+			third = elementOf(3);
+
+		collection.getById(2).set('title', 'B');
+		collection.add({ id: 4, title: 'd' });
+
+		expect(texts()).to.deep.equal(['a', 'B', 'c', 'd']);
+		expect(list.children[0]).to.equal(first);
+		expect(list.children[1]).to.not.equal(second);
+		expect(list.children[2]).to.equal(third);
+	});
+
+	it('moves the elements when the order changes', function() {
+		collection.attachTo(list);
+
+		var first = elementOf(1),
+			third = elementOf(3);
+
+		collection.setComparator(function(a, b) {
+			return b.getId() - a.getId();
+		}).sort();
+
+		expect(texts()).to.deep.equal(['c', 'b', 'a']);
+		expect(list.children[0]).to.equal(third);
+		expect(list.children[2]).to.equal(first);
+	});
+
+	it('detaches the elements of removed models', function() {
+		collection.attachTo(list);
+
+		var second = elementOf(2);
+
+		collection.remove(2);
+
+		expect(texts()).to.deep.equal(['a', 'c']);
+		expect(second.parentNode).to.equal(null);
+
+		collection.clear();
+
+		expect(list.children.length).to.equal(0);
+	});
+
+	it('shows the current page', function() {
+		collection.setPageSize(2);
+		collection.attachTo(list);
+
+		var first = elementOf(1);
+
+		expect(texts()).to.deep.equal(['a', 'b']);
+
+		collection.nextPage();
+
+		expect(texts()).to.deep.equal(['c']);
+		expect(first.parentNode).to.equal(null);
+
+		collection.prevPage();
+
+		expect(texts()).to.deep.equal(['a', 'b']);
+		expect(list.children[0]).to.equal(first);
+	});
+
+	it('stops patching when detached', function() {
+		collection.attachTo(list);
+		collection.detach();
+		collection.remove(1);
+
+		expect(texts()).to.deep.equal(['a', 'b', 'c']);
+	});
+});
@@ -0,0 +1,101 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Events', function() {
+	var collection, calls;
+
+	beforeEach(function() {
+		calls = [];
+		collection = new PVCollection({ name: 'e' }, {});
+	});
+
+	it('runs once handlers once', function() {
+		collection.once('ping', function() {
+			calls.push('once');
+		});
+
+		collection.trigger('ping');
+		collection.trigger('ping');
+
+		expect(calls).to.deep.equal(['once']);
+	});
+
+	it('keeps other bindings of a once callback', function() {
+		var handler = function() {
+			calls.push('ping');
+		};
+
+		collection.on('ping', handler);
+		collection.once('ping.ns', handler);
+
+		collection.trigger('ping');
+		collection.trigger('ping');
+
+		expect(calls).to.have.length(3);
+	});
+
+	it('removes handlers by namespace', function() {
+		collection.on('ping.a pong.a', function() {
+			calls.push('a');
+		});
+		collection.on('ping.b', function() {
+			calls.push('b');
+		});
+
+		collection.off('.a');
+		collection.trigger('ping');
+		collection.trigger('pong');
+
+		expect(calls).to.deep.equal(['b']);
+	});
+
+	it('passes every event to all handlers', function() {
+		collection.on('all', function(eventName) {
+			calls.push(eventName);
+		});
+
+		collection.add({ id: 1 });
+
+		expect(calls).to.include('change');
+		expect(calls).to.include('dirty');
+	});
+
+	it('keeps the handlers the library needs on off()', function() {
+		var view = collection.createView();
+
+		collection.off();
+		collection.add({ id: 1 });
+
+		expect(view.length).to.equal(1);
+	});
+
+	it('listens to other objects and stops listening', function() {
+		var other = new PVCollection({ name: 'o' }, {}),
+			context = null;
+
+		collection.listenTo(other, 'ping', function() {
+			context = this;
+			calls.push('ping');
+		});
+
+		other.trigger('ping');
+		collection.stopListening();
+		other.trigger('ping');
+
+		expect(calls).to.deep.equal(['ping']);
+		expect(context).to.equal(collection);
+	});
+
+	it('runs listenToOnce handlers once', function() {
+		var other = new PVCollection({ name: 'o' }, {});
+
+		collection.listenToOnce(other, 'ping', function() {
+			calls.push('ping');
+		});
+
+		other.trigger('ping');
+		other.trigger('ping');
+
+		expect(calls).to.deep.equal(['ping']);
+	});
+});
@@ -0,0 +1,105 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('History', function() {
+	var collection;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'h', history: true }, {});
+	});
+
+	it('undoes and redoes add and remove', function() {
+		collection.add({ id: 1 });
+		collection.add({ id: 2 });
+		collection.remove(1);
+
+		collection.history.undo();
+		expect(collection.length).to.equal(2);
+
+		collection.history.undo();
+		expect(collection.getById(2)).to.equal(null);
+
+		collection.history.redo();
+		expect(collection.getById(2)).to.be.ok;
+	});
+
+	it('undoes model changes', function() {
+		collection.add({ id: 1, t: 'a' });
+		collection.getById(1).set('t', 'b');
+		collection.getById(1).set({ t: 'c', extra: true });
+
+		collection.history.undo();
+		expect(collection.getById(1).get('t')).to.equal('b');
+		expect(collection.getById(1).attributes.hasOwnProperty('extra')).to.equal(false);
+
+		collection.history.undo();
+		expect(collection.getById(1).get('t')).to.equal('a');
+	});
+
+	it('makes a set one undo step', function() {
+		collection.add([{ id: 1, t: 'a' }, { id: 2 }]);
+		collection.set([{ id: 1, t: 'b' }, { id: 3 }]);
+
+		collection.history.undo();
+
+		expect(collection.map(function(model) {
+			return model.getId();
+		}).sort()).to.deep.equal([1, 2]);
+		expect(collection.getById(1).get('t')).to.equal('a');
+	});
+
+	it('groups operations', function() {
+		collection.history.group(function() {
+			collection.add({ id: 1 });
+			collection.add({ id: 2 });
+		});
+
+		collection.history.undo();
+
+		expect(collection.length).to.equal(0);
+		expect(collection.history.canUndo()).to.equal(false);
+	});
+
+	it('clears the redo stack on a new operation', function() {
+		collection.add({ id: 1 });
+		collection.history.undo();
+		collection.add({ id: 2 });
+
+		expect(collection.history.canRedo()).to.equal(false);
+	});
+
+	it('keeps recording after an operation throws', function() {
+		collection = new PVCollection({ name: 'h', history: true }, {
+			functions: {
+				initialize: function() {
+					if (this.get('broken')) {
+						throw new Error('broken model');
+					}
+				}
+			}
+		});
+
+		expect(function() {
+			collection.add({ id: 1, broken: true });
+		}).to.throw('broken model');
+
+		collection.add({ id: 2 });
+
+		expect(collection.history._groupDepth).to.equal(0);
+		expect(collection.history.canUndo()).to.equal(true);
+
+		collection.history.undo();
+
+		expect(collection.getById(2)).to.equal(null);
+	});
+
+	it('keeps only depth steps', function() {
+		collection = new PVCollection({ name: 'h', history: { depth: 2 } }, {});
+
+		collection.add({ id: 1 });
+		collection.add({ id: 2 });
+		collection.add({ id: 3 });
+
+		expect(collection.history.undoStack.length).to.equal(2);
+	});
+});
@@ -0,0 +1,40 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('idAttribute', function() {
+	it('uses a custom id field', function() {
+		var collection = new PVCollection({ name: 'i', idAttribute: '_id' }, {});
+
+		collection.add([{ _id: 'a', title: 'x' }]);
+
+		expect(collection.getById('a').get('title')).to.equal('x');
+		expect(collection.get(0).getId()).to.equal('a');
+	});
+
+	it('derives the key with a function', function() {
+		var collection = new PVCollection({
+			name: 'i',
+			idAttribute: function(attributes) {
+				return attributes.type && attributes.code ? attributes.type + ':' + attributes.code : undefined;
+			}
+		}, {});
+
+		collection.add({ type: 'a', code: 1 });
+
+		expect(collection.getById('a:1')).to.be.ok;
+		expect(collection.getById({ type: 'a', code: 1 })).to.be.ok;
+
+		collection.remove({ type: 'a', code: 1 });
+
+		expect(collection.length).to.equal(0);
+	});
+
+	it('generates an id for new models', function() {
+		var collection = new PVCollection({ name: 'i' }, {});
+
+		collection.add({ title: 'x' });
+
+		expect(collection.get(0).get('id')).to.be.a('number');
+		expect(collection.get(0).isNew()).to.equal(true);
+	});
+});
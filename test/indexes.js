@@ -0,0 +1,49 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Indexes', function() {
+	var collection;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'x' }, {});
+		collection.add([{ id: 1 }, { id: 2 }, { id: 3 }]);
+	});
+
+	it('finds models by id and guid', function() {
+		var model = collection.getById(2);
+
+		expect(model.get('id')).to.equal(2);
+		expect(collection.getByGuid(model.guid)).to.equal(model);
+	});
+
+	it('keeps the indexes up to date on remove and set', function() {
+		collection.remove(2);
+		collection.set([{ id: 3 }, { id: 4 }]);
+
+		expect(collection.getById(1)).to.equal(null);
+		expect(collection.getById(2)).to.equal(null);
+		expect(collection.getById(4)).to.be.ok;
+		expect(collection.length).to.equal(2);
+	});
+
+	it('reindexes a model when its id changes', function() {
+		collection.getById(1).set('id', 10);
+
+		expect(collection.getById(1)).to.equal(null);
+		expect(collection.getById(10)).to.be.ok;
+	});
+
+	it('sets thousands of items', function() {
+		var items = [];
+
+		for (var i = 1; i <= 5000; i++) {
+			items.push({ id: i, n: i });
+		}
+
+		collection.set(items);
+		collection.set(items.slice(1));
+
+		expect(collection.length).to.equal(4999);
+		expect(collection.getById(5000).get('n')).to.equal(5000);
+	});
+});
@@ -0,0 +1,95 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Model sync', function() {
+	var requests, collection;
+
+	beforeEach(function() {
+		requests = [];
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news/',
+			transport: function(request) {
+				requests.push(request);
+
+				if (request.type === 'POST') {
+					return { id: 42 };
+				}
+				if (request.type === 'GET') {
+					return { id: 1, title: 'fetched' };
+				}
+
+				return null;
+			}
+		}, {});
+	});
+
+	it('builds the model url from the collection url', function() {
+		collection.add({ id: 1 });
+
+		expect(collection.getById(1).url()).to.equal('/api/news/1');
+	});
+
+	it('posts new models without the generated id and takes the id from the server', function() {
+		var model = collection.add({ title: 'new' }, { returnItems: true })[0];
+
+		expect(model.isNew()).to.equal(true);
+
+		model.save();
+
+		expect(requests[0].type).to.equal('POST');
+		expect(requests[0].url).to.equal('/api/news/');
+		expect(JSON.parse(requests[0].data)).to.deep.equal({ title: 'new' });
+		expect(model.getId()).to.equal(42);
+		expect(model.isNew()).to.equal(false);
+	});
+
+	it('posts new related models without their generated ids', function() {
+		collection = new PVCollection({
+			name: 'posts',
+			url: '/api/posts/',
+			transport: function(request) {
+				requests.push(request);
+				return null;
+			}
+		}, {
+			relations: {
+				author: { type: 'hasOne' }
+			}
+		});
+
+		collection.add({ title: 'x', author: { name: 'n' } }, { returnItems: true })[0].save();
+
+		expect(JSON.parse(requests[0].data)).to.deep.equal({ title: 'x', author: { name: 'n' } });
+	});
+
+	it('patches only the changed attributes of saved models', function() {
+		collection.add({ id: 1, title: 'a', body: 'b' });
+
+		var model = collection.getById(1);
+
+		model.clean();
+		model.set('title', 'changed');
+		model.save();
+
+		expect(requests[0].type).to.equal('PATCH');
+		expect(JSON.parse(requests[0].data)).to.deep.equal({ title: 'changed' });
+		expect(model._dirty).to.equal(false);
+	});
+
+	it('fetches the attributes of a model', function() {
+		collection.add({ id: 1, title: 'a' });
+		collection.getById(1).fetch();
+
+		expect(requests[0].url).to.equal('/api/news/1');
+		expect(collection.getById(1).get('title')).to.equal('fetched');
+	});
+
+	it('removes destroyed models from the collection', function() {
+		collection.add({ id: 1 });
+		collection.getById(1).destroy();
+
+		expect(requests[0].type).to.equal('DELETE');
+		expect(collection.length).to.equal(0);
+	});
+});
@@ -0,0 +1,39 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Node build', function() {
+	it('loads as a CommonJS module without jQuery', function() {
+		var collection = new PVCollection({ name: 'n' }, {});
+
+		collection.add([{ id: 1, nested: { a: 1 } }]);
+		collection.getById(1).set({ nested: { b: 2 } });
+
+		expect(collection.getById(1).get('nested')).to.deep.equal({ a: 1, b: 2 });
+		expect(collection.created.toISOString()).to.be.a('string');
+	});
+
+	it('needs jQuery for DOM features', function() {
+		var collection = new PVCollection({ name: 'n' }, { template: '<li>{{id}}</li>' });
+
+		expect(function() {
+			collection.attachTo('#list');
+		}).to.throw('PVCollection needs jQuery for DOM features!');
+	});
+
+	it('builds another PVCollection with other dependencies', function() {
+		var calls = 0,
+			fakeMoment = function() {
+				calls++;
+				return { format: function() { return 'now'; } };
+			},
+			Other = PVCollection.create({ moment: fakeMoment });
+
+		fakeMoment.isMoment = function() {
+			return false;
+		};
+
+		expect(new Other({ name: 'o' }, {}).created.format()).to.equal('now');
+		expect(calls).to.be.above(0);
+		expect(Other).to.not.equal(PVCollection);
+	});
+});
@@ -0,0 +1,84 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Paging', function() {
+	var byId = function(a, b) {
+		return a.getId() - b.getId();
+	};
+
+	it('pages locally', function() {
+		var pages = [],
+			collection = new PVCollection({ name: 'p', pageSize: 2 }, {});
+
+		collection.setComparator(byId);
+		collection.add([{ id: 1 }, { id: 2 }, { id: 3 }]);
+		collection.on('pageChange', function(evt) {
+			pages.push(evt.page);
+		});
+
+		expect(collection.pageCount()).to.equal(2);
+		expect(collection.getPage().length).to.equal(2);
+
+		collection.nextPage();
+
+		expect(collection.getPage()[0].getId()).to.equal(3);
+		expect(collection.pageInfo().hasNext).to.equal(false);
+		expect(pages).to.deep.equal([2]);
+
+		collection.nextPage();
+
+		expect(collection.page).to.equal(2);
+	});
+
+	it('goes back to the last page when models are removed', function() {
+		var pages = [],
+			collection = new PVCollection({ name: 'p', pageSize: 2 }, {});
+
+		collection.add([{ id: 1 }, { id: 2 }, { id: 3 }]);
+		collection.goToPage(2);
+		collection.on('pageChange', function(evt) {
+			pages.push(evt.previous + '>' + evt.page);
+		});
+
+		collection.remove(1);
+
+		expect(collection.pageInfo()).to.include({ page: 1, pageCount: 1, hasPrev: false });
+		expect(pages).to.deep.equal(['2>1']);
+
+		collection.add([{ id: 4 }, { id: 5 }]);
+		collection.goToPage(2);
+		collection.clear();
+
+		expect(collection.page).to.equal(1);
+		expect(pages).to.deep.equal(['2>1', '1>2', '2>1']);
+	});
+
+	it('fetches pages from the server', function() {
+		var all = [{ id: 1 }, { id: 2 }, { id: 3 }],
+			collection = new PVCollection({
+				name: 'p',
+				url: '/api',
+				paging: 'server',
+				pageSize: 2,
+				transport: function(request) {
+					var page = request.data.page,
+						size = request.data.pageSize;
+
+					return {
+						items: all.slice((page - 1) * size, page * size),
+						data: { totalCount: all.length }
+					};
+				}
+			}, {});
+
+		collection.fetch();
+
+		expect(collection.length).to.equal(2);
+		expect(collection.getTotalCount()).to.equal(3);
+
+		collection.goToPage(2);
+
+		expect(collection.length).to.equal(1);
+		expect(collection.getById(3)).to.be.ok;
+	});
+});
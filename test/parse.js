@@ -0,0 +1,128 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Parse and serialize', function() {
+	var requests, collection,
+		template = {
+			envelope: 'data',
+			fields: {
+				firstName: 'first_name',
+				createdAt: { from: 'created_at', type: 'moment' },
+				score: {
+					parse: function(value) {
+						return value * 10;
+					},
+					serialize: function(value) {
+						return value / 10;
+					}
+				}
+			}
+		};
+
+	beforeEach(function() {
+		requests = [];
+		collection = new PVCollection({
+			name: 'users',
+			url: '/api/users',
+			transport: function(request) {
+				requests.push(request);
+
+				return request.type === 'GET' ? [
+					{ data: { id: 1, first_name: 'Ann', created_at: '2024-01-02T03:04:05.000Z', score: 3 } },
+					{ id: 2, first_name: 'Bob' }
+				] : null;
+			}
+		}, template);
+	});
+
+	it('unwraps, renames and converts fetched items', function() {
+		collection.fetch();
+
+		var model = collection.getById(1);
+
+		expect(model.get('firstName')).to.equal('Ann');
+		expect(model.get('first_name')).to.equal(undefined);
+		expect(model.get('createdAt').toISOString()).to.equal('2024-01-02T03:04:05.000Z');
+		expect(model.get('score')).to.equal(30);
+		expect(collection.getById(2).get('firstName')).to.equal('Bob');
+	});
+
+	it('serializes back to the wire format', function() {
+		collection.fetch();
+
+		expect(collection.getById(1).toJSON()).to.deep.equal({
+			id: 1,
+			first_name: 'Ann',
+			created_at: '2024-01-02T03:04:05.000Z',
+			score: 3
+		});
+	});
+
+	it('saves serialized data', function() {
+		collection.fetch();
+		collection.getById(1).clean();
+		collection.getById(1).set('firstName', 'Annie');
+		collection.getById(1).save();
+
+		expect(JSON.parse(requests[1].data)).to.deep.equal({ first_name: 'Annie' });
+	});
+
+	it('parses added items with the parse option', function() {
+		collection.add({ data: { id: 3, first_name: 'Cy' } }, { parse: true });
+		collection.add({ id: 4, firstName: 'Di' });
+
+		expect(collection.getById(3).get('firstName')).to.equal('Cy');
+		expect(collection.getById(4).get('firstName')).to.equal('Di');
+	});
+
+	describe('with a custom parser', function() {
+		var headlines = {
+			fields: {
+				createdAt: { from: 'created_at', type: 'moment' }
+			},
+			functions: {
+				parser: function(raw) {
+					return { id: raw.id, title: raw.headline, created_at: raw.created_at };
+				}
+			}
+		};
+
+		beforeEach(function() {
+			collection = new PVCollection({
+				name: 'headlines',
+				url: '/api/headlines',
+				transport: function() {
+					return [{ id: 1, headline: 'Hello', created_at: '2024-01-02T03:04:05.000Z' }];
+				}
+			}, headlines);
+
+			collection.fetch();
+		});
+
+		it('round trips through toJSON and fromJSON', function() {
+			var restored = PVCollection.fromJSON(collection.toJSON(), headlines);
+
+			expect(restored.getById(1).get('title')).to.equal('Hello');
+			expect(restored.getById(1).get('createdAt').toISOString()).to.equal('2024-01-02T03:04:05.000Z');
+		});
+
+		it('round trips through a storage', function() {
+			var storage = new PVCollection.MemoryStorage(),
+				restored;
+
+			collection.storage = storage;
+			collection.persist();
+
+			restored = new PVCollection({ name: 'headlines', storage: storage }, headlines);
+
+			expect(restored.getById(1).get('title')).to.equal('Hello');
+			expect(restored.getById(1).get('createdAt').toISOString()).to.equal('2024-01-02T03:04:05.000Z');
+		});
+	});
+
+	it('throws for unknown field types', function() {
+		expect(function() {
+			new PVCollection({ name: 'x' }, { fields: { a: { type: 'nope' } } }).add({ a: 1 }, { parse: true });
+		}).to.throw('Unknown field type nope!');
+	});
+});
@@ -0,0 +1,56 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Query operators', function() {
+	var collection,
+		ids = function(models) {
+			return models.map(function(model) {
+				return model.getId();
+			}).sort();
+		};
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'q' }, {});
+		collection.add([
+			{ id: 1, n: 1, title: 'Bacon', tags: ['a', 'b'], created: new Date(2020, 0, 1), author: { name: 'Ann' } },
+			{ id: 2, n: 5, title: 'eggs', tags: ['b'], created: new Date(2021, 0, 1), author: { name: 'Bob' } },
+			{ id: 3, n: 9, title: 'bacon bits', tags: [] }
+		]);
+	});
+
+	it('compares values', function() {
+		expect(ids(collection.where({ n: { $gt: 1, $lte: 9 } }))).to.deep.equal([2, 3]);
+		expect(ids(collection.where({ n: { $in: [1, 9] } }))).to.deep.equal([1, 3]);
+		expect(ids(collection.where({ n: { $ne: 5 } }))).to.deep.equal([1, 3]);
+	});
+
+	it('matches regular expressions, arrays and existence', function() {
+		expect(ids(collection.where({ title: /bacon/i }))).to.deep.equal([1, 3]);
+		expect(ids(collection.where({ tags: { $all: ['a', 'b'] } }))).to.deep.equal([1]);
+		expect(ids(collection.where({ tags: { $size: 0 } }))).to.deep.equal([3]);
+		expect(ids(collection.where({ created: { $exists: false } }))).to.deep.equal([3]);
+	});
+
+	it('compares dates, and skips models without a valid date', function() {
+		collection.add({ id: 4, created: 'not a date' });
+
+		expect(ids(collection.where({ created: { $gte: new Date(2020, 6, 1) } }))).to.deep.equal([2]);
+		expect(ids(collection.where({ created: { $lt: new Date(2020, 6, 1) } }))).to.deep.equal([1]);
+		expect(ids(collection.where({ created: { $gt: new Date(2000, 0, 1) } }))).to.deep.equal([1, 2]);
+	});
+
+	it('matches nested paths', function() {
+		expect(collection.findWhere({ 'author.name': 'Bob' }).getId()).to.equal(2);
+	});
+
+	it('combines queries', function() {
+		expect(ids(collection.where({ $or: [{ n: 1 }, { n: 9 }] }))).to.deep.equal([1, 3]);
+		expect(ids(collection.where({ $not: { n: 1 } }))).to.deep.equal([2, 3]);
+	});
+
+	it('throws on unknown operators', function() {
+		expect(function() {
+			collection.where({ n: { $nope: 1 } });
+		}).to.throw('Unknown query operator $nope');
+	});
+});
@@ -0,0 +1,75 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Relations', function() {
+	var collection;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'posts' }, {
+			relations: {
+				author: { type: 'hasOne' },
+				comments: { type: 'hasMany' }
+			}
+		});
+
+		collection.add({ id: 1, author: { id: 10, name: 'Ann' }, comments: [{ id: 100, text: 'hi' }] });
+	});
+
+	it('turns nested data into models and collections', function() {
+		var post = collection.getById(1);
+
+		expect(post.get('author').get('name')).to.equal('Ann');
+		expect(post.get('comments') instanceof PVCollection).to.equal(true);
+		expect(post.get('comments').getById(100).get('text')).to.equal('hi');
+	});
+
+	it('serializes relations recursively', function() {
+		expect(collection.getById(1).toJSON()).to.deep.equal({
+			id: 1,
+			author: { id: 10, name: 'Ann' },
+			comments: [{ id: 100, text: 'hi' }]
+		});
+	});
+
+	it('leaves the generated ids of new related models out', function() {
+		collection.add({ id: 2, author: { name: 'Bob' }, comments: [{ text: 'yo' }] });
+
+		var post = collection.getById(2);
+
+		expect(post.get('author').isNew()).to.equal(true);
+		expect(post.toJSON()).to.deep.equal({
+			id: 2,
+			author: { name: 'Bob' },
+			comments: [{ text: 'yo' }]
+		});
+	});
+
+	it('bubbles nested changes up to the owner and its collection', function() {
+		var post = collection.getById(1),
+			ownerChanged = [],
+			collectionChanged = null;
+
+		post.on('change:comments', function() {
+			ownerChanged.push('comments');
+		});
+		collection.on('change', function(evt) {
+			collectionChanged = evt.changed;
+		});
+
+		post.get('comments').getById(100).set('text', 'edited');
+
+		expect(ownerChanged).to.deep.equal(['comments']);
+		expect(collectionChanged).to.deep.equal([post]);
+		expect(post.changedAttributes.comments).to.deep.equal([{ id: 100, text: 'edited' }]);
+	});
+
+	it('merges set data into the related model', function() {
+		var post = collection.getById(1),
+			author = post.get('author');
+
+		post.set('author', { name: 'Bob' });
+
+		expect(post.get('author')).to.equal(author);
+		expect(author.get('name')).to.equal('Bob');
+	});
+});
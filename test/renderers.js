@@ -0,0 +1,91 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Renderers', function() {
+	it('renders function templates', function() {
+		var collection = new PVCollection({ name: 'r' }, {
+			renderer: 'function',
+			template: function(data) {
+				return '<li>' + data.title + '</li>';
+			}
+		});
+
+		collection.add({ id: 1, title: 'a' });
+
+		expect(collection.get(0).render()).to.equal('<li>a</li>');
+	});
+
+	it('renders string templates with Handlebars', function() {
+		var collection = new PVCollection({ name: 'r' }, {
+			template: '<li>{{title}}</li>'
+		});
+
+		collection.add({ id: 1, title: 'a' });
+
+		expect(collection.get(0).render()).to.equal('<li>a</li>');
+	});
+
+	it('takes Mustache and lodash from the dependencies', function() {
+		var Other = PVCollection.create({
+				Mustache: {
+					parse: function() {},
+					render: function(source, data) {
+						return source.replace('{{title}}', data.title);
+					}
+				},
+				lodash: {
+					template: function(source) {
+						return function(data) {
+							return source.replace('<%= title %>', data.title);
+						};
+					}
+				}
+			}),
+			mustache = new Other({ name: 'm' }, { renderer: 'mustache', template: '<i>{{title}}</i>' }),
+			lodash = new Other({ name: 'l' }, { renderer: 'lodash', template: '<u><%= title %></u>' });
+
+		mustache.add({ id: 1, title: 'a' });
+		lodash.add({ id: 1, title: 'b' });
+
+		expect(mustache.get(0).render()).to.equal('<i>a</i>');
+		expect(lodash.get(0).render()).to.equal('<u>b</u>');
+	});
+
+	it('uses registered renderers, helpers and partials', function() {
+		PVCollection.registerRenderer('upper', {
+			compile: function(source) {
+				return source;
+			},
+			render: function(compiled, data) {
+				return compiled.replace('{title}', data.title.toUpperCase());
+			}
+		});
+
+		var collection = new PVCollection({ name: 'r' }, {
+			renderer: 'upper',
+			template: '<b>{title}</b>'
+		});
+
+		collection.add({ id: 1, title: 'a' });
+
+		expect(collection.get(0).render()).to.equal('<b>A</b>');
+
+		PVCollection.registerHelper('shout', function(text) {
+			return text.toUpperCase();
+		});
+
+		collection = new PVCollection({ name: 'r' }, {
+			template: '<b>{{shout title}}</b>'
+		});
+
+		collection.add({ id: 1, title: 'a' });
+
+		expect(collection.get(0).render()).to.equal('<b>A</b>');
+	});
+
+	it('throws for unknown renderers', function() {
+		expect(function() {
+			new PVCollection({ name: 'r', renderer: 'nope', template: 'x' }, {});
+		}).to.throw('Unknown renderer nope!');
+	});
+});
@@ -0,0 +1,63 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Serialization', function() {
+	var template = {
+		relations: {
+			author: { type: 'hasOne' }
+		}
+	};
+
+	it('round trips through toJSON and fromJSON', function() {
+		var collection = new PVCollection({ name: 'r', url: '/api', pageSize: 2 }, template);
+
+		collection.add([{ id: 5, t: 'b', author: { name: 'A' } }, { t: 'new' }]);
+		collection.getById(5).set('t', 'c');
+
+		var restored = PVCollection.fromJSON(collection.toJSON(true), template),
+			model = restored.getById(5);
+
+		expect(restored.id).to.equal(collection.id);
+		expect(restored.name).to.equal('r');
+		expect(restored.url).to.equal('/api');
+		expect(restored.length).to.equal(2);
+		expect(model.get('t')).to.equal('c');
+		expect(model.get('author').get('name')).to.equal('A');
+		expect(model.changedAttributes.t).to.equal('c');
+		expect(restored.items.filter(function(item) {
+			return item.isNew();
+		}).length).to.equal(1);
+	});
+
+	it('keeps the comparator by name', function() {
+		PVCollection.comparators.byTitle = function(a, b) {
+			return a.get('t') < b.get('t') ? -1 : 1;
+		};
+
+		var collection = new PVCollection({ name: 'r', comparator: 'byTitle' }, {});
+
+		collection.add([{ id: 1, t: 'b' }, { id: 2, t: 'a' }]);
+
+		var restored = PVCollection.fromJSON(collection.toJSON(), {});
+
+		expect(restored.comparatorName).to.equal('byTitle');
+		expect(restored.first().get('t')).to.equal('a');
+
+		delete PVCollection.comparators.byTitle;
+	});
+
+	it('reads data without a version', function() {
+		var restored = PVCollection.fromJSON({ name: 'old', items: [{ id: 1 }, { id: 2 }] }, {});
+
+		expect(restored.length).to.equal(2);
+	});
+
+	it('does not hand out restored ids again', function() {
+		var restored = PVCollection.fromJSON({ name: 'old', items: [{ id: 100000 }] }, {});
+
+		restored.add({ t: 'new' });
+
+		expect(restored.length).to.equal(2);
+		expect(restored.getById(100000).get('t')).to.equal(undefined);
+	});
+});
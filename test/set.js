@@ -0,0 +1,60 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Collection.set', function() {
+	var collection, change;
+
+	beforeEach(function() {
+		change = null;
+		collection = new PVCollection({ name: 's' }, {});
+		collection.add([{ id: 1, t: 'a' }, { id: 2, t: 'b' }]);
+		collection.on('change', function(evt) {
+			change = evt;
+		});
+	});
+
+	it('adds, merges and removes by default', function() {
+		collection.set([{ id: 2, t: 'B' }, { id: 3, t: 'c' }]);
+
+		expect(collection.getById(1)).to.equal(null);
+		expect(collection.getById(2).get('t')).to.equal('B');
+		expect(change.added.length).to.equal(1);
+		expect(change.removed.length).to.equal(1);
+		expect(change.changed.length).to.equal(1);
+	});
+
+	it('keeps missing items with remove: false', function() {
+		collection.set([{ id: 3 }], { remove: false });
+
+		expect(collection.length).to.equal(3);
+	});
+
+	it('leaves matched items alone with merge: false', function() {
+		collection.set([{ id: 1, t: 'x' }, { id: 2, t: 'y' }], { merge: false });
+
+		expect(collection.getById(1).get('t')).to.equal('a');
+		expect(change).to.equal(null);
+	});
+
+	it('does not add new items with add: false', function() {
+		collection.set([{ id: 1 }, { id: 2 }, { id: 3 }], { add: false });
+
+		expect(collection.getById(3)).to.equal(null);
+	});
+
+	it('inserts new items at an index', function() {
+		collection.set([{ id: 9 }], { at: 1, remove: false });
+
+		expect(collection.get(1).getId()).to.equal(9);
+	});
+
+	it('runs the items through a parse function', function() {
+		collection.set([{ key: 5 }], {
+			parse: function(raw) {
+				return { id: raw.key };
+			}
+		});
+
+		expect(collection.getById(5)).to.be.ok;
+	});
+});
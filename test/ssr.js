@@ -0,0 +1,71 @@
+var expect = require('chai').expect,
+	JSDOM = require('jsdom').JSDOM,
+	PVCollection = require('..');
+
+describe('Server side rendering', function() {
+	it('renders tagged markup and the state', function() {
+		var collection = new PVCollection({ name: 's' }, {
+				template: '<li>{{title}}</li>'
+			}),
+			html;
+
+		collection.add([{ id: 1, title: '</script><b>' }]);
+
+		html = collection.renderToString();
+
+		expect(html).to.contain('<li data-guid="' + collection.get(0).guid + '">');
+		expect(html).to.contain('<script type="application/json" data-pvcollection="' + collection.id + '">');
+		expect(html.match(/<\/script>/g).length).to.equal(1);
+
+		var state = JSON.parse(html.replace(/^.*<script[^>]*>/, '').replace('</script>', ''));
+
+		expect(state.items[0].guid).to.equal(collection.get(0).guid);
+		expect(state.items[0].attributes.title).to.equal('</script><b>');
+	});
+
+	it('wraps markup without a root element', function() {
+		var collection = new PVCollection({ name: 's' }, {
+			template: '{{title}}'
+		});
+
+		collection.add({ id: 1, title: 'a' });
+
+		expect(collection.renderToString()).to.match(/^<div data-guid="[^"]+">a<\/div>/);
+	});
+
+	it('hydrates the server markup in the browser', function() {
+		var template = { template: '<li>{{title}}</li>' },
+			server = new PVCollection({ name: 's' }, template),
+			window, $, client, list, before;
+
+		server.add([{ id: 1, title: 'a' }, { id: 2, title: 'b' }]);
+
+		window = new JSDOM('<!DOCTYPE html><ul id="list">' + server.renderToString() + '</ul>').window;
+		$ = require('jquery')(window);
+		list = window.document.getElementById('list');
+		before = Array.prototype.slice.call(list.querySelectorAll('li'));
+
+		client = new (PVCollection.create({ jQuery: $, Handlebars: require('handlebars') }))({ name: 's' }, template);
+		client.hydrate(list);
+
+		expect(client.length).to.equal(2);
+		expect(client.getById(1).guid).to.equal(server.getById(1).guid);
+		expect(client.getById(2).guid).to.equal(server.getById(2).guid);
+		expect(list.querySelector('script')).to.equal(null);
+		expect(Array.prototype.slice.call(list.children)).to.deep.equal(before);
+
+		client.set([{ id: 1, title: 'A' }, { id: 2, title: 'b' }]);
+
+		expect(list.children.length).to.equal(2);
+		expect(list.children[0]).to.equal(before[0]);
+		expect(list.children[1]).to.not.equal(before[1]);
+		expect(list.children[1].textContent).to.equal('A');
+		expect(client.getById(1).$el[0]).to.equal(list.children[1]);
+	});
+
+	it('needs a model template', function() {
+		expect(function() {
+			new PVCollection({ name: 's' }, {}).renderToString();
+		}).to.throw('No model template for Collection.renderToString!');
+	});
+});
@@ -0,0 +1,327 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Storage', function() {
+	var storage;
+
+	beforeEach(function() {
+		storage = new PVCollection.MemoryStorage();
+	});
+
+	it('persists and restores the models', function() {
+		var collection = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		collection.add([{ id: 1, t: 'a' }, { id: 2, t: 'b' }]);
+		collection.persist();
+
+		var restored = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		expect(restored.length).to.equal(2);
+		expect(restored.getById(1).get('t')).to.equal('a');
+		expect(restored.isDirty()).to.equal(true);
+	});
+
+	it('restores the model state without computed attributes', function() {
+		var template = {
+				types: { title: 'string' },
+				unknownAttributes: 'reject',
+				computed: {
+					label: {
+						get: function(attributes) {
+							return attributes.title.toUpperCase();
+						},
+						toJSON: true
+					}
+				}
+			},
+			collection = new PVCollection({ name: 'notes', storage: storage }, template);
+
+		collection.add({ id: 1, title: 'a' });
+		collection.clean(true);
+		collection.getById(1).set('title', 'b');
+		collection.persist();
+
+		var restored = new PVCollection({ name: 'notes', storage: storage }, template);
+
+		expect(restored.length).to.equal(1);
+		expect(restored.getById(1).get('label')).to.equal('B');
+		expect(restored.getById(1)._dirty).to.equal(true);
+		expect(restored.getById(1).changedAttributes).to.have.property('title');
+	});
+
+	it('does not make restoring an undo step', function() {
+		var collection = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		collection.add([{ id: 1 }, { id: 2 }]);
+		collection.persist();
+
+		var restored = new PVCollection({ name: 'notes', storage: storage, history: true }, {});
+
+		expect(restored.length).to.equal(2);
+		expect(restored.history.canUndo()).to.equal(false);
+
+		restored.history.undo();
+
+		expect(restored.length).to.equal(2);
+	});
+
+	it('restores data stored as plain attributes', function() {
+		storage.setItem('notes', { items: [{ id: 1, t: 'a' }], dirty: false, queue: [] });
+
+		var restored = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		expect(restored.getById(1).get('t')).to.equal('a');
+		expect(restored.isDirty()).to.equal(false);
+	});
+
+	it('stops persisting when the storage is detached', function(done) {
+		var collection = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		collection.add({ id: 1 });
+		collection.detachStorage();
+
+		setTimeout(function() {
+			expect(storage.data).to.not.have.property('notes');
+			expect(collection.storage).to.equal(null);
+			done();
+		}, 10);
+	});
+
+	it('persists after changes on its own', function(done) {
+		var collection = new PVCollection({ name: 'notes', storage: storage }, {});
+
+		collection.add({ id: 1 });
+
+		setTimeout(function() {
+			expect(JSON.parse(storage.data.notes).items[0].attributes).to.deep.equal({ id: 1 });
+			done();
+		}, 10);
+	});
+
+	it('queues saves while offline and replays them', function() {
+		var sent = [],
+			online = false,
+			collection = new PVCollection({
+				name: 'notes',
+				url: '/api/notes',
+				storage: storage,
+				transport: function(request) {
+					sent.push(request.type + ' ' + request.url);
+					return [];
+				},
+				functions: {
+					isOnline: function() {
+						return online;
+					}
+				}
+			}, {});
+
+		collection.add({ id: 1 });
+		collection.save();
+		collection.save();
+
+		expect(sent).to.deep.equal([]);
+		expect(collection.queue.length).to.equal(1);
+
+		online = true;
+		collection.replay();
+
+		expect(sent).to.deep.equal(['PUT /api/notes']);
+		expect(collection.queue.length).to.equal(0);
+	});
+
+	describe('LocalStorage', function() {
+		var fake, local;
+
+		beforeEach(function() {
+			fake = {
+				data: {},
+				getItem: function(key) {
+					return this.data.hasOwnProperty(key) ? this.data[key] : null;
+				},
+				setItem: function(key, value) {
+					this.data[key] = String(value);
+				},
+				removeItem: function(key) {
+					delete this.data[key];
+				}
+			};
+			local = new PVCollection.LocalStorage({ storage: fake });
+		});
+
+		it('keeps JSON under the prefixed key', function() {
+			var value;
+
+			local.setItem('notes', { items: [{ id: 1 }] });
+			local.getItem('notes').done(function(result) {
+				value = result;
+			});
+
+			expect(fake.data['pvcollection:notes']).to.equal('{"items":[{"id":1}]}');
+			expect(value).to.deep.equal({ items: [{ id: 1 }] });
+
+			local.removeItem('notes');
+
+			expect(fake.data).to.not.have.property('pvcollection:notes');
+		});
+
+		it('resolves missing keys with null and takes another prefix', function() {
+			var value;
+
+			local = new PVCollection.LocalStorage({ storage: fake, prefix: 'app.' });
+			local.setItem('a', 1);
+			local.getItem('b').done(function(result) {
+				value = result;
+			});
+
+			expect(Object.keys(fake.data)).to.deep.equal(['app.a']);
+			expect(value).to.equal(null);
+		});
+
+		it('rejects when the quota is exceeded', function() {
+			var error = null;
+
+			fake.setItem = function() {
+				var e = new Error('The quota has been exceeded.');
+
+				e.name = 'QuotaExceededError';
+				throw e;
+			};
+
+			local.setItem('notes', {}).fail(function(reason) {
+				error = reason;
+			});
+
+			expect(error.message).to.equal('The quota has been exceeded.');
+		});
+	});
+
+	describe('IndexedDBStorage', function() {
+		// an IndexedDB with the request objects, callbacks fire after the current operation like the real one
+		var fakeIndexedDB = function() {
+			var stores = {},
+				later = function(request, fn) {
+					setTimeout(function() {
+						try {
+							request.result = fn();
+						} catch (e) {
+							request.error = e;
+							return request.onerror();
+						}
+						request.onsuccess();
+					}, 0);
+
+					return request;
+				},
+				db = {
+					createObjectStore: function(name) {
+						stores[name] = {};
+					},
+					transaction: function(name) {
+						return {
+							objectStore: function() {
+								var store = stores[name];
+
+								return {
+									get: function(key) {
+										return later({}, function() {
+											return store[key];
+										});
+									},
+									put: function(value, key) {
+										return later({}, function() {
+											store[key] = value;
+										});
+									},
+									'delete': function(key) {
+										return later({}, function() {
+											delete store[key];
+										});
+									}
+								};
+							}
+						};
+					}
+				};
+
+			return {
+				stores: stores,
+				open: function() {
+					var request = {};
+
+					setTimeout(function() {
+						request.result = db;
+						request.onupgradeneeded();
+						request.onsuccess();
+					}, 0);
+
+					return request;
+				}
+			};
+		};
+
+		it('keeps JSON in the object store', function(done) {
+			var indexedDB = fakeIndexedDB(),
+				idb = new PVCollection.IndexedDBStorage({ indexedDB: indexedDB, store: 'lists' });
+
+			idb.setItem('notes', { items: [{ id: 1 }] })
+				.then(function() {
+					expect(indexedDB.stores.lists.notes).to.equal('{"items":[{"id":1}]}');
+
+					return idb.getItem('notes');
+				})
+				.then(function(value) {
+					expect(value).to.deep.equal({ items: [{ id: 1 }] });
+
+					return idb.removeItem('notes');
+				})
+				.then(function() {
+					return idb.getItem('notes');
+				})
+				.done(function(value) {
+					expect(value).to.equal(null);
+					done();
+				});
+		});
+
+		it('rejects when the database fails to open', function(done) {
+			var idb = new PVCollection.IndexedDBStorage({
+				indexedDB: {
+					open: function() {
+						var request = {};
+
+						setTimeout(function() {
+							request.error = new Error('blocked');
+							request.onerror();
+						}, 0);
+
+						return request;
+					}
+				}
+			});
+
+			idb.getItem('notes').fail(function(error) {
+				expect(error.message).to.equal('blocked');
+				expect(idb._db).to.equal(null);
+				done();
+			});
+		});
+
+		it('rejects when open throws', function() {
+			var error = null,
+				idb = new PVCollection.IndexedDBStorage({
+					indexedDB: {
+						open: function() {
+							throw new Error('not allowed');
+						}
+					}
+				});
+
+			idb.setItem('notes', {}).fail(function(reason) {
+				error = reason;
+			});
+
+			expect(error.message).to.equal('not allowed');
+		});
+	});
+});
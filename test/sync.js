@@ -0,0 +1,129 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Collection sync', function() {
+	var requests, collection;
+
+	// a transport that records the requests and answers with the given response
+	var transport = function(response) {
+		return function(request) {
+			requests.push(request);
+			return typeof response === 'function' ? response(request) : response;
+		};
+	};
+
+	beforeEach(function() {
+		requests = [];
+	});
+
+	it('fetches through the transport and sets the items', function() {
+		var loaded = null;
+
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news',
+			transport: transport([{ id: 1, title: 'a' }, { id: 2, title: 'b' }])
+		}, {});
+
+		collection.on('load', function(evt) {
+			loaded = evt;
+		});
+
+		collection.fetch();
+
+		expect(requests[0].url).to.equal('/api/news');
+		expect(requests[0].type).to.equal('GET');
+		expect(collection.length).to.equal(2);
+		expect(collection.getById(1).get('title')).to.equal('a');
+		expect(loaded.status).to.equal('success');
+	});
+
+	it('reads items and data from an object response', function() {
+		var data = null;
+
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news',
+			transport: transport({ items: [{ id: 1 }], data: { total: 10 } })
+		}, {});
+
+		collection.on('load', function(evt) {
+			data = evt.data;
+		});
+
+		collection.fetch();
+
+		expect(collection.length).to.equal(1);
+		expect(data).to.deep.equal({ total: 10 });
+	});
+
+	it('saves all the models as json and cleans the collection', function() {
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news',
+			transport: transport(null)
+		}, {});
+
+		collection.add([{ id: 1, title: 'a' }]);
+		collection.save();
+
+		expect(requests[0].type).to.equal('PUT');
+		expect(JSON.parse(requests[0].data)).to.deep.equal([{ id: 1, title: 'a' }]);
+		expect(collection.isDirty()).to.equal(false);
+	});
+
+	it('reports failed requests with error and load events', function() {
+		var errors = [],
+			loads = [],
+			failed = false;
+
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news',
+			transport: function() {
+				throw { status: 500, message: 'boom' };
+			}
+		}, {});
+
+		collection.on('error', function(evt) {
+			errors.push(evt);
+		});
+		collection.on('load', function(evt) {
+			loads.push(evt);
+		});
+
+		collection.fetch().fail(function(error) {
+			failed = error.status === 500;
+		});
+
+		expect(failed).to.equal(true);
+		expect(errors.length).to.equal(1);
+		expect(loads[0].status).to.equal('error');
+	});
+
+	it('fails without a url', function() {
+		var failed = false;
+
+		collection = new PVCollection({ name: 'news' }, {});
+		collection.fetch().fail(function() {
+			failed = true;
+		});
+
+		expect(failed).to.equal(true);
+	});
+
+	it('follows promises returned by the transport', function(done) {
+		collection = new PVCollection({
+			name: 'news',
+			url: '/api/news',
+			transport: function() {
+				return Promise.resolve([{ id: 3 }]);
+			}
+		}, {});
+
+		collection.fetch().done(function() {
+			expect(collection.getById(3)).to.be.ok;
+			done();
+		});
+	});
+});
@@ -0,0 +1,85 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Typed attributes', function() {
+	var collection,
+		template = {
+			types: {
+				price: 'number',
+				active: 'boolean',
+				name: 'string',
+				created: { type: 'moment', 'default': function() { return PVCollection.fieldTypes.moment.parse(Date.now()); } },
+				tags: { type: 'array', 'default': [] },
+				status: { type: 'enum', values: [1, 2], 'default': 1 },
+				code: {
+					type: function(value) {
+						return String(value).toUpperCase();
+					}
+				}
+			}
+		};
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 't' }, template);
+	});
+
+	it('coerces values on add and set', function() {
+		collection.add({ id: 1, price: '3', active: 'false', name: 5, status: '2', code: 'ab' });
+
+		var model = collection.getById(1);
+
+		expect(model.get('price')).to.equal(3);
+		expect(model.get('active')).to.equal(false);
+		expect(model.get('name')).to.equal('5');
+		expect(model.get('status')).to.equal(2);
+		expect(model.get('code')).to.equal('AB');
+
+		model.set('price', '7.5');
+
+		expect(model.get('price')).to.equal(7.5);
+	});
+
+	it('applies defaults per model', function() {
+		collection.add([{ id: 1 }, { id: 2 }]);
+
+		var a = collection.getById(1),
+			b = collection.getById(2);
+
+		a.get('tags').push('x');
+
+		expect(b.get('tags')).to.deep.equal([]);
+		expect(a.get('status')).to.equal(1);
+		expect(a.get('created')).to.not.equal(b.get('created'));
+	});
+
+	it('reports values that cannot be coerced', function() {
+		collection.add({ id: 1, price: 'abc', status: 9 });
+
+		expect(collection.getById(1).validationErrors).to.deep.equal({
+			price: 'price must be of type number',
+			status: 'status must be one of 1, 2'
+		});
+	});
+
+	it('strips unknown attributes', function() {
+		collection = new PVCollection({ name: 't' }, { unknownAttributes: 'strip', types: { n: 'number' } });
+		collection.add({ id: 1, n: '1', junk: true });
+		collection.getById(1).set('junk', true);
+
+		expect(collection.getById(1).attributes).to.deep.equal({ id: 1, n: 1 });
+	});
+
+	it('rejects unknown attributes', function() {
+		collection = new PVCollection({ name: 't' }, { unknownAttributes: 'reject', types: { n: 'number' } });
+		collection.add([{ id: 1, n: 1 }, { id: 2, junk: true }]);
+
+		expect(collection.length).to.equal(1);
+		expect(collection.getById(1).set('junk', true)).to.equal(false);
+	});
+
+	it('throws for unknown types', function() {
+		expect(function() {
+			new PVCollection({ name: 't' }, { types: { a: 'nope' } }).add({ a: 1 });
+		}).to.throw('Unknown attribute type nope!');
+	});
+});
@@ -0,0 +1,64 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Validation', function() {
+	var schema = {
+		title: { required: true, type: 'string', max: 5 },
+		rating: { type: 'number', min: 1, max: 5 },
+		tag: { 'enum': ['a', 'b'] },
+		slug: function(value) {
+			return /^[a-z]+$/.test(value) || 'slug must be lowercase';
+		}
+	};
+
+	it('validates items on add and flags the invalid ones', function() {
+		var invalid = null,
+			collection = new PVCollection({ name: 'v' }, { schema: schema });
+
+		collection.on('invalid', function(evt) {
+			invalid = evt.items;
+		});
+
+		collection.add([{ id: 1, title: 'ok' }, { id: 2, title: 'far too long', rating: 9 }]);
+
+		expect(collection.length).to.equal(2);
+		expect(invalid.length).to.equal(1);
+		expect(Object.keys(invalid[0].errors)).to.deep.equal(['title', 'rating']);
+		expect(collection.getById(2).isValid()).to.equal(false);
+	});
+
+	it('leaves out invalid items in reject mode', function() {
+		var collection = new PVCollection({ name: 'v' }, { schema: schema, validationMode: 'reject' });
+
+		collection.add([{ id: 1, title: 'ok' }, { id: 2 }]);
+
+		expect(collection.length).to.equal(1);
+	});
+
+	it('does not set invalid data in reject mode', function() {
+		var errors = null,
+			collection = new PVCollection({ name: 'v' }, { schema: schema, validationMode: 'reject' });
+
+		collection.add({ id: 1, title: 'ok' });
+
+		var model = collection.getById(1);
+
+		model.on('invalid', function(evt) {
+			errors = evt.errors;
+		});
+
+		expect(model.set('slug', 'NOPE')).to.equal(false);
+		expect(model.get('slug')).to.equal(undefined);
+		expect(errors).to.deep.equal({ slug: 'slug must be lowercase' });
+	});
+
+	it('sets invalid data in flag mode and reports it', function() {
+		var collection = new PVCollection({ name: 'v' }, { schema: schema });
+
+		collection.add({ id: 1, title: 'ok' });
+		collection.getById(1).set('tag', 'c');
+
+		expect(collection.getById(1).get('tag')).to.equal('c');
+		expect(collection.getById(1).validationErrors.tag).to.equal('tag must be one of a, b');
+	});
+});
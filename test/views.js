@@ -0,0 +1,109 @@
+var expect = require('chai').expect,
+	PVCollection = require('..');
+
+describe('Views', function() {
+	var collection, view;
+
+	beforeEach(function() {
+		collection = new PVCollection({ name: 'v' }, {});
+		collection.add([{ id: 1, done: false, n: 3 }, { id: 2, done: true, n: 1 }, { id: 3, done: false, n: 2 }]);
+
+		view = collection.createView({
+			filter: { done: false },
+			comparator: function(a, b) {
+				return a.get('n') - b.get('n');
+			}
+		});
+	});
+
+	it('filters and sorts the models of the collection', function() {
+		expect(view.map(function(model) {
+			return model.getId();
+		})).to.deep.equal([3, 1]);
+	});
+
+	it('follows added and removed models', function() {
+		var change = null;
+
+		view.on('change', function(evt) {
+			change = evt;
+		});
+
+		collection.add({ id: 4, done: false, n: 0 });
+
+		expect(view.first().getId()).to.equal(4);
+		expect(change.added.length).to.equal(1);
+
+		collection.remove(4);
+
+		expect(view.length).to.equal(2);
+	});
+
+	it('follows models that change into and out of the filter', function() {
+		collection.getById(2).set('done', false);
+		expect(view.length).to.equal(3);
+
+		collection.getById(1).set('done', true);
+		expect(view.getByGuid(collection.getById(1).guid)).to.equal(null);
+	});
+
+	it('lists changed models and renders them again', function() {
+		var change = null;
+
+		view = collection.createView({
+			template: function(data) {
+				return data.items.map(function(item) {
+					return item.n;
+				}).join();
+			}
+		});
+
+		expect(view.render()).to.equal('2,1,3');
+
+		view.on('change', function(evt) {
+			change = evt;
+		});
+
+		collection.getById(1).set('n', 7);
+
+		expect(change.changed).to.deep.equal([collection.getById(1)]);
+		expect(change.added.length + change.removed.length).to.equal(0);
+		expect(view.render()).to.equal('2,1,7');
+	});
+
+	it('renders models merged by Collection.set again', function() {
+		var change = null;
+
+		view = collection.createView({
+			template: function(data) {
+				return data.items.map(function(item) {
+					return item.n;
+				}).join();
+			}
+		});
+
+		expect(view.render()).to.equal('2,1,3');
+
+		view.on('change', function(evt) {
+			change = evt;
+		});
+
+		collection.set([{ id: 1, done: false, n: 3 }, { id: 2, done: true, n: 1 }, { id: 3, done: false, n: 8 }]);
+
+		expect(change.changed).to.deep.equal([collection.getById(3)]);
+		expect(view.render()).to.equal('8,1,3');
+	});
+
+	it('limits the number of models', function() {
+		view.setLimit(1);
+
+		expect(view.length).to.equal(1);
+	});
+
+	it('stops following the collection when destroyed', function() {
+		view.destroy();
+		collection.add({ id: 4, done: false, n: 0 });
+
+		expect(view.length).to.equal(2);
+	});
+});